@@ -0,0 +1,405 @@
+// Analytics Module for GPS Financeiro
+// Earnings, hourly rate, expense breakdown and net profit reports from transactions and sessions,
+// plus the weekday x hour heatmap of the most profitable times to drive
+
+import { getTransactions, getSessions, getTransactionItems } from './db.js';
+import { getStartOfDay, getStartOfWeek } from './utils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ranges longer than this are charted per week instead of per day
+const MAX_DAILY_BUCKETS = 62;
+
+// Best time windows: length range (hours) and minimum worked hours to be trusted
+const WINDOW_MIN_LENGTH = 2;
+const WINDOW_MAX_LENGTH = 4;
+const WINDOW_MIN_WORKED_HOURS = 2;
+
+export const WEEKDAY_LABELS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+// ============================================
+// Ranges
+// ============================================
+
+/**
+ * Range of the same length right before another one
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {object} { startDate, endDate }
+ */
+export const getPreviousRange = (startDate, endDate) => {
+    const previousEnd = new Date(startDate.getTime() - 1);
+    return {
+        startDate: new Date(previousEnd.getTime() - (endDate - startDate)),
+        endDate: previousEnd
+    };
+};
+
+/**
+ * Percent change between two values
+ * @param {number} current - Current value
+ * @param {number} previous - Previous value
+ * @returns {number|null} Change in % (null when there is nothing to compare with)
+ */
+export const calculateChange = (current, previous) => {
+    if (!previous) return null;
+    return Math.round(((current - previous) / Math.abs(previous)) * 100);
+};
+
+// ============================================
+// Sessions
+// ============================================
+
+/**
+ * Split the worked time of a session into clock-hour slices, without breaks
+ * @param {object} session - Completed session
+ * @returns {array} [{ start, seconds }] (seconds add up to the session duration)
+ */
+const getWorkedSlices = (session) => {
+    const start = session.startTime;
+    const end = session.endTime || new Date(start.getTime() + (session.duration || 0) * 1000);
+    const breaks = session.breaks || [];
+    const slices = [];
+
+    let cursor = new Date(start);
+    while (cursor < end) {
+        const nextHour = new Date(cursor);
+        nextHour.setMinutes(60, 0, 0);
+        const sliceEnd = nextHour < end ? nextHour : end;
+
+        const pausedMs = breaks.reduce((sum, interval) => {
+            const overlap = Math.min(sliceEnd, interval.end) - Math.max(cursor, interval.start);
+            return sum + Math.max(0, overlap);
+        }, 0);
+
+        const seconds = Math.max(0, (sliceEnd - cursor - pausedMs) / 1000);
+        if (seconds > 0) slices.push({ start: new Date(cursor), seconds });
+        cursor = sliceEnd;
+    }
+
+    // Stored duration wins (it is what the user confirmed when ending the shift)
+    const total = slices.reduce((sum, slice) => sum + slice.seconds, 0);
+    if (total > 0 && session.duration > 0) {
+        const scale = session.duration / total;
+        slices.forEach(slice => { slice.seconds *= scale; });
+    }
+
+    return slices;
+};
+
+/**
+ * Spread each session's earnings and rides over the clock hours it covered
+ * @param {array} sessions - Completed sessions
+ * @param {function} onSlice - Called with ({ start, hours, earnings, rides }) per slice
+ */
+const spreadSessions = (sessions, onSlice) => {
+    sessions.forEach(session => {
+        const slices = getWorkedSlices(session);
+        const totalSeconds = slices.reduce((sum, slice) => sum + slice.seconds, 0);
+        if (totalSeconds <= 0) return;
+
+        slices.forEach(slice => {
+            const share = slice.seconds / totalSeconds;
+            onSlice({
+                start: slice.start,
+                hours: slice.seconds / 3600,
+                earnings: (session.earnings || 0) * share,
+                rides: (session.rides || 0) * share
+            });
+        });
+    });
+};
+
+/**
+ * Earnings and worked hours by weekday and by hour of day
+ * Session earnings are spread evenly over its worked time
+ * @param {array} sessions - Completed sessions
+ * @returns {object} { byWeekday: [7], byHour: [24] } each { earnings, hours, rate }
+ */
+const calculateHourlyRates = (sessions) => {
+    const empty = () => ({ earnings: 0, hours: 0, rate: 0 });
+    const byWeekday = Array.from({ length: 7 }, empty);
+    const byHour = Array.from({ length: 24 }, empty);
+
+    spreadSessions(sessions, ({ start, hours, earnings }) => {
+        [byWeekday[start.getDay()], byHour[start.getHours()]].forEach(bucket => {
+            bucket.earnings += earnings;
+            bucket.hours += hours;
+        });
+    });
+
+    [...byWeekday, ...byHour].forEach(bucket => {
+        bucket.rate = bucket.hours > 0 ? bucket.earnings / bucket.hours : 0;
+    });
+
+    return { byWeekday, byHour };
+};
+
+// ============================================
+// Report
+// ============================================
+
+/**
+ * Check if a transaction is a real expense (savings are kept apart)
+ * @param {object} transaction - Transaction
+ * @returns {boolean}
+ */
+const isExpense = (transaction) => transaction.type === 'expense' && transaction.subType !== 'saving';
+
+/**
+ * Income, expenses and net profit per day (or per week for long ranges)
+ * @param {array} transactions - Transactions in the range
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {object} { unit: 'day'|'week', buckets: [{ start, income, expenses, net }] }
+ */
+const buildSeries = (transactions, startDate, endDate) => {
+    const unit = (endDate - startDate) / DAY_MS > MAX_DAILY_BUCKETS ? 'week' : 'day';
+    const getBucketStart = unit === 'week' ? getStartOfWeek : getStartOfDay;
+
+    const buckets = [];
+    const index = new Map();
+    for (let day = getBucketStart(startDate); day <= endDate; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + (unit === 'week' ? 7 : 1))) {
+        index.set(day.getTime(), buckets.length);
+        buckets.push({ start: day, income: 0, expenses: 0, net: 0 });
+    }
+
+    transactions.forEach(t => {
+        const bucket = buckets[index.get(getBucketStart(t.date).getTime())];
+        if (!bucket) return;
+        if (t.type === 'income') bucket.income += t.amount || 0;
+        if (isExpense(t)) bucket.expenses += t.amount || 0;
+    });
+
+    buckets.forEach(bucket => { bucket.net = bucket.income - bucket.expenses; });
+    return { unit, buckets };
+};
+
+/**
+ * Build the report of a range from already loaded data
+ * @param {array} transactions - Transactions in the range
+ * @param {array} sessions - Completed sessions in the range
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {object} { startDate, endDate, totals, series, expensesByCategory, byWeekday, byHour }
+ */
+export const buildAnalyticsReport = (transactions, sessions, startDate, endDate) => {
+    const totals = {
+        income: 0,
+        expenses: 0,
+        savings: 0,
+        net: 0,
+        rides: 0,
+        km: 0,
+        hours: 0,
+        sessionEarnings: 0,
+        hourlyRate: 0
+    };
+
+    const expensesByCategory = new Map();
+    transactions.forEach(t => {
+        const amount = t.amount || 0;
+        if (t.type === 'income') totals.income += amount;
+        else if (t.type === 'expense' && t.subType === 'saving') totals.savings += amount;
+        else if (t.type === 'expense') {
+            totals.expenses += amount;
+            // Split expenses count under each line item category
+            getTransactionItems(t).forEach(item => {
+                expensesByCategory.set(item.category, (expensesByCategory.get(item.category) || 0) + (item.amount || 0));
+            });
+        } else if (t.type === 'corridas') totals.rides += amount;
+        else if (t.type === 'km') totals.km += amount;
+    });
+    totals.net = totals.income - totals.expenses;
+
+    sessions.forEach(session => {
+        totals.hours += (session.duration || 0) / 3600;
+        totals.sessionEarnings += session.earnings || 0;
+    });
+    totals.hourlyRate = totals.hours > 0 ? totals.sessionEarnings / totals.hours : 0;
+
+    const { byWeekday, byHour } = calculateHourlyRates(sessions);
+
+    return {
+        startDate,
+        endDate,
+        totals,
+        series: buildSeries(transactions, startDate, endDate),
+        expensesByCategory: [...expensesByCategory.entries()]
+            .map(([category, total]) => ({ category, total, share: totals.expenses > 0 ? total / totals.expenses : 0 }))
+            .sort((a, b) => b.total - a.total),
+        byWeekday,
+        byHour
+    };
+};
+
+/**
+ * Load and build the report of a range, optionally with the previous range
+ * Both ranges come from one query per collection; offline, they are read
+ * from the Firestore cache
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @param {object} options - { compare } (default true)
+ * @returns {Promise<object>} { current, previous (or null), changes }
+ */
+export const getAnalyticsReport = async (startDate, endDate, options = {}) => {
+    const { compare = true } = options;
+    const previousRange = compare ? getPreviousRange(startDate, endDate) : null;
+    const loadFrom = previousRange ? previousRange.startDate : startDate;
+
+    const [transactions, sessions] = await Promise.all([
+        getTransactions({ startDate: loadFrom, endDate }),
+        getSessions({ startDate: loadFrom, endDate })
+    ]);
+    const completed = sessions.filter(session => session.status === 'completed');
+
+    const inRange = (date, range) => date >= range.startDate && date <= range.endDate;
+    const currentRange = { startDate, endDate };
+
+    const current = buildAnalyticsReport(
+        transactions.filter(t => inRange(t.date, currentRange)),
+        completed.filter(session => inRange(session.startTime, currentRange)),
+        startDate,
+        endDate
+    );
+
+    if (!previousRange) return { current, previous: null, changes: {} };
+
+    const previous = buildAnalyticsReport(
+        transactions.filter(t => inRange(t.date, previousRange)),
+        completed.filter(session => inRange(session.startTime, previousRange)),
+        previousRange.startDate,
+        previousRange.endDate
+    );
+
+    const changes = {};
+    Object.keys(current.totals).forEach(key => {
+        changes[key] = calculateChange(current.totals[key], previous.totals[key]);
+    });
+
+    return { current, previous, changes };
+};
+
+// ============================================
+// Heatmap
+// ============================================
+
+/**
+ * Weekday x hour grid of average R$/hour and rides/hour
+ * @param {array} sessions - Completed sessions
+ * @returns {object} { cells: [7][24] { earnings, rides, hours, rate, ridesPerHour }, averageRate, averageRidesPerHour, maxRate, maxRidesPerHour }
+ */
+export const buildSessionHeatmap = (sessions) => {
+    const cells = Array.from({ length: 7 }, () =>
+        Array.from({ length: 24 }, () => ({ earnings: 0, rides: 0, hours: 0, rate: 0, ridesPerHour: 0 }))
+    );
+
+    spreadSessions(sessions, ({ start, hours, earnings, rides }) => {
+        const cell = cells[start.getDay()][start.getHours()];
+        cell.earnings += earnings;
+        cell.rides += rides;
+        cell.hours += hours;
+    });
+
+    const totals = { earnings: 0, rides: 0, hours: 0 };
+    let maxRate = 0;
+    let maxRidesPerHour = 0;
+    cells.flat().forEach(cell => {
+        if (cell.hours <= 0) return;
+        cell.rate = cell.earnings / cell.hours;
+        cell.ridesPerHour = cell.rides / cell.hours;
+        maxRate = Math.max(maxRate, cell.rate);
+        maxRidesPerHour = Math.max(maxRidesPerHour, cell.ridesPerHour);
+        totals.earnings += cell.earnings;
+        totals.rides += cell.rides;
+        totals.hours += cell.hours;
+    });
+
+    return {
+        cells,
+        averageRate: totals.hours > 0 ? totals.earnings / totals.hours : 0,
+        averageRidesPerHour: totals.hours > 0 ? totals.rides / totals.hours : 0,
+        maxRate,
+        maxRidesPerHour
+    };
+};
+
+/**
+ * Most profitable time windows (a few consecutive hours on the same weekday)
+ * Only windows with every hour worked, enough worked time and a rate at least
+ * the overall average are considered, and the chosen windows never overlap
+ * @param {object} heatmap - Result of buildSessionHeatmap
+ * @param {number} limit - Max windows (default 3)
+ * @returns {array} [{ weekday, startHour, endHour, rate, ridesPerHour, hours, aboveAverage }]
+ */
+export const findBestTimeWindows = (heatmap, limit = 3) => {
+    const candidates = [];
+
+    heatmap.cells.forEach((row, weekday) => {
+        for (let startHour = 0; startHour < 24; startHour++) {
+            for (let length = WINDOW_MIN_LENGTH; length <= WINDOW_MAX_LENGTH && startHour + length <= 24; length++) {
+                const run = row.slice(startHour, startHour + length);
+                if (run.some(cell => cell.hours <= 0)) break;
+
+                const worked = run.reduce((sum, cell) => sum + cell.hours, 0);
+                if (worked < WINDOW_MIN_WORKED_HOURS) continue;
+
+                const earnings = run.reduce((sum, cell) => sum + cell.earnings, 0);
+                if (earnings / worked < heatmap.averageRate) continue;
+
+                const rides = run.reduce((sum, cell) => sum + cell.rides, 0);
+                candidates.push({
+                    weekday,
+                    startHour,
+                    endHour: startHour + length,
+                    rate: earnings / worked,
+                    ridesPerHour: rides / worked,
+                    hours: worked
+                });
+            }
+        }
+    });
+
+    // Higher rate first; on ties the longer window is more useful
+    candidates.sort((a, b) => (b.rate - a.rate) || ((b.endHour - b.startHour) - (a.endHour - a.startHour)));
+
+    const chosen = [];
+    for (const candidate of candidates) {
+        if (chosen.length >= limit) break;
+        const overlaps = chosen.some(picked =>
+            picked.weekday === candidate.weekday &&
+            candidate.startHour < picked.endHour &&
+            picked.startHour < candidate.endHour
+        );
+        if (overlaps) continue;
+        chosen.push({
+            ...candidate,
+            aboveAverage: calculateChange(candidate.rate, heatmap.averageRate)
+        });
+    }
+
+    return chosen;
+};
+
+/**
+ * Load the heatmap of the last weeks of completed sessions
+ * @param {number} weeks - How many weeks of history (default 12)
+ * @returns {Promise<object>} Heatmap plus { windows, sessionCount, startDate, endDate }
+ */
+export const getSessionHeatmap = async (weeks = 12) => {
+    const endDate = new Date();
+    const startDate = getStartOfDay(new Date(endDate.getTime() - weeks * 7 * DAY_MS));
+
+    const sessions = await getSessions({ startDate, endDate });
+    const completed = sessions.filter(session => session.status === 'completed');
+    const heatmap = buildSessionHeatmap(completed);
+
+    return {
+        ...heatmap,
+        windows: findBestTimeWindows(heatmap),
+        sessionCount: completed.length,
+        startDate,
+        endDate
+    };
+};
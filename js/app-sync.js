@@ -0,0 +1,15 @@
+// App Sync Module for GPS Financeiro
+// Background work every signed in page starts, whichever page the app was opened on
+
+import { initOutboxSync } from './offline-queue.js';
+import { initRecurringSync } from './recurring.js';
+
+/**
+ * Start the background sync of the page (safe to call more than once)
+ * - Offline outbox: replayed now, when back online and when the service worker asks
+ * - Recurring transactions: due occurrences created now and on the periodic sync
+ */
+export const startAppSync = () => {
+    initOutboxSync();
+    initRecurringSync();
+};
@@ -0,0 +1,215 @@
+// Budget Module for GPS Financeiro
+// Monthly planned amounts per expense category (envelopes) and budget vs actual
+
+import { getTransactions, expandTransactionItems, getBudget, getPreviousBudget, saveBudget } from './db.js';
+import { getCategories } from './categories.js';
+
+// Share of an envelope used before it counts as at risk
+export const BUDGET_RISK_RATIO = 0.8;
+
+// Share of the month that must pass before spending is projected to the month end
+// (earlier, one purchase would project far past any envelope)
+const MIN_PROJECTION_ELAPSED_RATIO = 0.25;
+
+// Months walked back when carrying unspent amounts; older balances are not carried
+const MAX_ROLLOVER_MONTHS = 12;
+
+// ============================================
+// Months
+// ============================================
+
+/**
+ * Month key of a date
+ * @param {Date} date - Any date in the month
+ * @returns {string} Key in YYYY-MM format
+ */
+export const toMonthKey = (date = new Date()) => {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * First day of a month key
+ * @param {string} monthKey - Key in YYYY-MM format
+ * @returns {Date} First day at local midnight
+ */
+export const fromMonthKey = (monthKey) => {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1);
+};
+
+/**
+ * Month key shifted by a number of months
+ * @param {string} monthKey - Key in YYYY-MM format
+ * @param {number} offset - Months to add (negative goes back)
+ * @returns {string} Shifted key
+ */
+export const shiftMonthKey = (monthKey, offset) => {
+    const date = fromMonthKey(monthKey);
+    return toMonthKey(new Date(date.getFullYear(), date.getMonth() + offset, 1));
+};
+
+/**
+ * Date range of a month
+ * @param {string} monthKey - Key in YYYY-MM format
+ * @returns {object} { start, end } (end is the last millisecond of the month)
+ */
+const getMonthRange = (monthKey) => {
+    const start = fromMonthKey(monthKey);
+    const end = new Date(start.getFullYear(), start.getMonth() + 1, 0, 23, 59, 59, 999);
+    return { start, end };
+};
+
+// ============================================
+// Envelopes
+// ============================================
+
+/**
+ * Expenses of a month grouped by category (savings are not expenses, split expenses count per line item)
+ * @param {string} monthKey - Key in YYYY-MM format
+ * @returns {Promise<object>} { [category]: total }
+ */
+const getSpentByCategory = async (monthKey) => {
+    const { start, end } = getMonthRange(monthKey);
+    const transactions = await getTransactions({ type: 'expense', startDate: start, endDate: end });
+
+    return expandTransactionItems(transactions)
+        .filter(t => t.subType !== 'saving')
+        .reduce((spent, t) => {
+            spent[t.category] = (spent[t.category] || 0) + (t.amount || 0);
+            return spent;
+        }, {});
+};
+
+/**
+ * Unspent amount of each envelope, carried into the next month
+ * @param {object} budget - Budget of the month that closed
+ * @param {object} spent - Spent per category in that month
+ * @returns {object} { [category]: amount }
+ */
+const calculateRollover = (budget, spent) => {
+    const rolledOver = {};
+    new Set([...Object.keys(budget.planned), ...Object.keys(budget.rolledOver)]).forEach(category => {
+        const available = (budget.planned[category] || 0) + (budget.rolledOver[category] || 0);
+        rolledOver[category] = Math.max(0, Math.round((available - (spent[category] || 0)) * 100) / 100);
+    });
+    return rolledOver;
+};
+
+/**
+ * Budget of a month as it is shown, computed on read (nothing is written)
+ * Months without a saved budget use the planned amounts of the latest previous one;
+ * unspent amounts of the month before are added when rollover is on
+ * @param {string} monthKey - Key in YYYY-MM format
+ * @param {number} depth - Months already walked back (internal)
+ * @returns {Promise<object|null>} Budget ({ saved: false } when derived) or null when no budget was ever set
+ */
+const resolveBudget = async (monthKey, depth = 0) => {
+    let budget = await getBudget(monthKey);
+    if (budget) {
+        budget = { ...budget, saved: true };
+    } else {
+        const previous = await getPreviousBudget(monthKey);
+        if (!previous) return null;
+        budget = { id: monthKey, month: monthKey, planned: previous.planned, rollover: previous.rollover, saved: false };
+    }
+
+    budget.rolledOver = {};
+    if (budget.rollover && depth < MAX_ROLLOVER_MONTHS) {
+        const previous = await resolveBudget(shiftMonthKey(monthKey, -1), depth + 1);
+        if (previous) {
+            budget.rolledOver = calculateRollover(previous, await getSpentByCategory(previous.month));
+        }
+    }
+
+    return budget;
+};
+
+/**
+ * Turn rollover on or off for a month
+ * A month shown from an earlier budget is saved with the planned amounts it showed
+ * @param {string} monthKey - Key in YYYY-MM format
+ * @param {boolean} enabled - Rollover on
+ * @returns {Promise<object>} Saved data { rollover, planned? }
+ */
+export const setBudgetRollover = async (monthKey, enabled) => {
+    const data = { rollover: enabled };
+
+    if (!(await getBudget(monthKey))) {
+        const previous = await getPreviousBudget(monthKey);
+        data.planned = previous?.planned || {};
+    }
+
+    await saveBudget(monthKey, data);
+    return data;
+};
+
+/**
+ * Budget vs actual of a month
+ * For the current month each envelope is also projected to the month end at the current pace,
+ * once MIN_PROJECTION_ELAPSED_RATIO of it has passed (before that the projection is the amount spent)
+ * @param {string} monthKey - Key in YYYY-MM format
+ * @returns {Promise<object>} { monthKey, budget, rows, totals }
+ *   rows: [{ category, label, icon, archived, planned, rolledOver, available, spent, remaining, ratio, projected, status }]
+ *   status: 'ok', 'risk' (close to the limit or projected over it) or 'over'
+ */
+export const getBudgetReport = async (monthKey = toMonthKey()) => {
+    const [budget, spent, { expense }] = await Promise.all([
+        resolveBudget(monthKey),
+        getSpentByCategory(monthKey),
+        getCategories()
+    ]);
+
+    const { start, end } = getMonthRange(monthKey);
+    const now = new Date();
+    const isCurrentMonth = now >= start && now <= end;
+    const elapsedRatio = isCurrentMonth ? (now - start) / (end - start) : 1;
+
+    // Archived categories stay in the report for months that used them
+    const rows = expense.map(({ id: category, label, icon, archived }) => {
+        const planned = budget?.planned[category] || 0;
+        const rolledOver = budget?.rolledOver[category] || 0;
+        const available = planned + rolledOver;
+        const categorySpent = spent[category] || 0;
+        const projected = isCurrentMonth && elapsedRatio >= MIN_PROJECTION_ELAPSED_RATIO ? categorySpent / elapsedRatio : categorySpent;
+
+        let status = 'ok';
+        if (available > 0 && categorySpent > available) {
+            status = 'over';
+        } else if (available > 0 && (categorySpent >= available * BUDGET_RISK_RATIO || projected > available)) {
+            status = 'risk';
+        }
+
+        return {
+            category,
+            label,
+            icon,
+            archived: archived === true,
+            planned,
+            rolledOver,
+            available,
+            spent: categorySpent,
+            remaining: available - categorySpent,
+            ratio: available > 0 ? categorySpent / available : 0,
+            projected,
+            status
+        };
+    });
+
+    const totals = rows.reduce((sum, row) => ({
+        available: sum.available + row.available,
+        spent: sum.spent + row.spent
+    }), { available: 0, spent: 0 });
+
+    return { monthKey, budget, rows, totals };
+};
+
+/**
+ * Envelopes of the current month at risk or over budget
+ * @returns {Promise<array>} Report rows, worst first
+ */
+export const getBudgetsAtRisk = async () => {
+    const report = await getBudgetReport();
+    return report.rows
+        .filter(row => row.status !== 'ok')
+        .sort((a, b) => b.ratio - a.ratio);
+};
@@ -0,0 +1,420 @@
+// Categories Module for GPS Financeiro
+// User-defined income, expense and saving categories stored in the user settings
+
+import {
+    getUserSettings,
+    updateUserSettings,
+    retagTransactions,
+    retagSessions,
+    retagBudgets,
+    getRecurringTemplates,
+    updateRecurringTemplate,
+    getGoals,
+    updateGoal,
+    recalculateGoalsProgress
+} from './db.js';
+
+export const CATEGORY_KINDS = {
+    income: { label: 'Receita', plural: 'Receitas', suffix: 'receita' },
+    expense: { label: 'Despesa', plural: 'Despesas', suffix: 'despesa' },
+    saving: { label: 'Guardar', plural: 'Guardar', suffix: 'economia' }
+};
+
+// Colors a category can use (key stored in the registry, classes for the icon badge)
+export const CATEGORY_COLORS = {
+    'black': 'bg-black text-white',
+    'slate-600': 'bg-slate-600 text-white',
+    'red-500': 'bg-red-500 text-white',
+    'rose-500': 'bg-rose-500 text-white',
+    'pink-500': 'bg-pink-500 text-white',
+    'orange-500': 'bg-orange-500 text-white',
+    'amber-500': 'bg-amber-500 text-white',
+    'amber-600': 'bg-amber-600 text-white',
+    'yellow-400': 'bg-yellow-400 text-black',
+    'yellow-500': 'bg-yellow-500 text-white',
+    'yellow-600': 'bg-yellow-600 text-white',
+    'green-500': 'bg-green-500 text-white',
+    'teal-500': 'bg-teal-500 text-white',
+    'cyan-500': 'bg-cyan-500 text-white',
+    'blue-500': 'bg-blue-500 text-white',
+    'indigo-500': 'bg-indigo-500 text-white',
+    'purple-500': 'bg-purple-500 text-white',
+    'white': 'bg-white text-slate-900'
+};
+
+// Material Symbols offered when creating or editing a category
+export const CATEGORY_ICONS = [
+    'directions_car', 'local_taxi', 'two_wheeler', 'person', 'storefront', 'delivery_dining',
+    'local_gas_station', 'ev_station', 'build', 'tire_repair', 'restaurant', 'local_cafe',
+    'local_car_wash', 'local_parking', 'toll', 'receipt_long', 'phone_iphone', 'wifi',
+    'shield', 'trending_up', 'star', 'savings', 'payments', 'more_horiz'
+];
+
+// Categories every user starts with (ids are the values stored in transaction.category)
+// passengerTransport marks income taxed on a reduced base (see tax-report.js)
+export const DEFAULT_CATEGORIES = {
+    income: [
+        { id: 'uber', label: 'Uber', description: 'Aplicativo', icon: 'directions_car', color: 'black', passengerTransport: true },
+        { id: '99', label: '99', description: 'Aplicativo', icon: 'local_taxi', color: 'yellow-400', passengerTransport: true },
+        { id: 'indrive', label: 'Indrive', description: 'Negociação', icon: 'two_wheeler', color: 'green-500', passengerTransport: true },
+        { id: 'particular', label: 'Particular', description: 'Corrida extra', icon: 'person', color: 'blue-500', passengerTransport: true },
+        { id: 'loja_movimento', label: 'Loja em Movimento', description: 'Parceria', icon: 'storefront', color: 'white', image: '/icons/loja-movimento.png' },
+        { id: 'outros_receita', label: 'Outros', description: 'Outras receitas', icon: 'more_horiz', color: 'purple-500' }
+    ],
+    expense: [
+        { id: 'combustivel', label: 'Combustível', description: 'Gasolina/Etanol', icon: 'local_gas_station', color: 'orange-500' },
+        { id: 'manutencao', label: 'Manutenção', description: 'Reparos/Revisão', icon: 'build', color: 'slate-600' },
+        { id: 'alimentacao', label: 'Alimentação', description: 'Refeições', icon: 'restaurant', color: 'amber-500' },
+        { id: 'lavagem', label: 'Lavagem', description: 'Limpeza veículo', icon: 'local_car_wash', color: 'cyan-500' },
+        { id: 'estacionamento', label: 'Estacionamento', description: 'Pedágios/Parking', icon: 'local_parking', color: 'indigo-500' },
+        { id: 'loja_movimento', label: 'Loja em Movimento', description: 'Parceria', icon: 'storefront', color: 'white', image: '/icons/loja-movimento.png' },
+        { id: 'outros_despesa', label: 'Outros', description: 'Outras despesas', icon: 'more_horiz', color: 'rose-500' }
+    ],
+    saving: [
+        { id: 'reserva', label: 'Reserva', description: 'Emergência', icon: 'shield', color: 'amber-500' },
+        { id: 'investimento', label: 'Investimento', description: 'Render mais', icon: 'trending_up', color: 'yellow-500' },
+        { id: 'manutencao_futura', label: 'Manutenção', description: 'Veículo futuro', icon: 'build', color: 'orange-500' },
+        { id: 'projeto_pessoal', label: 'Projeto', description: 'Sonho pessoal', icon: 'star', color: 'amber-600' },
+        { id: 'outros_economia', label: 'Outros', description: 'Outras economias', icon: 'more_horiz', color: 'yellow-600' }
+    ]
+};
+
+// Ids used by activity transactions, never given to a category
+const RESERVED_IDS = ['corridas', 'km'];
+
+// Categories the app itself relies on (fuel log, vehicle cost per km, tax deductions,
+// import fallback): they can be renamed but not archived or merged into another
+export const SYSTEM_CATEGORY_IDS = {
+    income: ['outros_receita'],
+    expense: ['combustivel', 'manutencao', 'lavagem', 'estacionamento', 'outros_despesa'],
+    saving: []
+};
+
+// Registry loaded once per page
+let registryPromise = null;
+
+// ============================================
+// Registry
+// ============================================
+
+/**
+ * Get the category registry, seeding it with the defaults on first use
+ * @returns {Promise<object>} { income: [], expense: [], saving: [] } (archived entries included)
+ */
+export const getCategories = async () => {
+    if (!registryPromise) {
+        registryPromise = loadCategories().catch(error => {
+            registryPromise = null;
+            throw error;
+        });
+    }
+    return registryPromise;
+};
+
+/**
+ * Read the registry from the settings, writing the defaults when missing
+ * @returns {Promise<object>} Registry
+ */
+const loadCategories = async () => {
+    const settings = await getUserSettings();
+    const stored = settings?.categories;
+
+    const registry = {};
+    let seeded = false;
+    Object.keys(CATEGORY_KINDS).forEach(kind => {
+        if (Array.isArray(stored?.[kind])) {
+            registry[kind] = stored[kind];
+        } else {
+            registry[kind] = DEFAULT_CATEGORIES[kind].map(category => ({ ...category, archived: false }));
+            seeded = true;
+        }
+    });
+
+    // Registries saved before the passenger transport flag get it from the defaults once
+    if (!registry.income.some(category => 'passengerTransport' in category)) {
+        registry.income = registry.income.map(category => ({
+            ...category,
+            passengerTransport: DEFAULT_CATEGORIES.income.some(c => c.id === category.id && c.passengerTransport)
+        }));
+        seeded = true;
+    }
+
+    if (seeded) {
+        await updateUserSettings({ categories: registry });
+    }
+    return registry;
+};
+
+/**
+ * Save the whole registry and refresh the cached copy
+ * A renamed category resets the search index version, so transactions get its new name indexed
+ * @param {object} registry - Registry
+ * @returns {Promise<object>} Saved registry
+ */
+const saveCategories = async (registry) => {
+    const previous = registryPromise ? await registryPromise : {};
+    const renamed = Object.entries(registry).some(([kind, categories]) => categories.some(category => {
+        const before = (previous[kind] || []).find(c => c.id === category.id);
+        return before && before.label !== category.label;
+    }));
+
+    const data = { categories: registry };
+    if (renamed) data.searchIndexVersion = 0;
+    await updateUserSettings(data);
+    registryPromise = Promise.resolve(registry);
+    return registry;
+};
+
+/**
+ * Categories of a kind that can be picked for new records
+ * @param {object} registry - Registry from getCategories
+ * @param {string} kind - income, expense or saving
+ * @returns {array} Active categories in registry order
+ */
+export const getActiveCategories = (registry, kind) => {
+    return (registry[kind] || []).filter(category => !category.archived);
+};
+
+/**
+ * Find a category by id (archived ones included)
+ * Ids can repeat across kinds (loja_movimento), so pass the kind when known
+ * @param {object} registry - Registry from getCategories
+ * @param {string} id - Category id
+ * @param {string} kind - income, expense or saving (optional)
+ * @returns {object} Category, or a neutral placeholder for unknown ids
+ */
+export const findCategory = (registry, id, kind = null) => {
+    const kinds = kind ? [kind] : Object.keys(CATEGORY_KINDS);
+    for (const key of kinds) {
+        const category = (registry[key] || []).find(c => c.id === id);
+        if (category) return category;
+    }
+    return { id, label: id || 'Sem categoria', description: '', icon: 'payments', color: 'slate-600', archived: false };
+};
+
+/**
+ * Ids of the income categories that are passenger transport (archived ones included)
+ * @param {object} registry - Registry from getCategories
+ * @returns {Set} Category ids
+ */
+export const getPassengerTransportCategories = (registry) => {
+    return new Set((registry.income || []).filter(category => category.passengerTransport).map(category => category.id));
+};
+
+/**
+ * Check if a category is one the app relies on (see SYSTEM_CATEGORY_IDS)
+ * @param {string} kind - income, expense or saving
+ * @param {string} id - Category id
+ * @returns {boolean}
+ */
+export const isSystemCategory = (kind, id) => {
+    return (SYSTEM_CATEGORY_IDS[kind] || []).includes(id);
+};
+
+/**
+ * Classes of the icon badge of a category
+ * @param {object} category - Category
+ * @returns {string} Tailwind classes
+ */
+export const getCategoryColorClass = (category) => {
+    return CATEGORY_COLORS[category.color] || CATEGORY_COLORS['slate-600'];
+};
+
+/**
+ * Inner HTML of the icon badge (image for partner categories, symbol otherwise)
+ * @param {object} category - Category
+ * @returns {string} HTML
+ */
+export const getCategoryIconHtml = (category) => {
+    if (category.image) {
+        return `<img src="${category.image}" alt="${category.label}" class="w-full h-full object-cover"/>`;
+    }
+    return `<span class="material-symbols-outlined">${category.icon || 'payments'}</span>`;
+};
+
+/**
+ * Kind of a category for a transaction
+ * @param {object} transaction - Transaction
+ * @returns {string|null} income, expense, saving or null for activity records
+ */
+export const getTransactionCategoryKind = (transaction) => {
+    if (transaction.subType === 'saving') return 'saving';
+    if (transaction.type === 'income' || transaction.type === 'expense') return transaction.type;
+    return null;
+};
+
+/**
+ * Labels of every category by id, with the kind added where two kinds share
+ * a label or an id ("Outros (receita)")
+ * @param {object} registry - Registry from getCategories
+ * @returns {object} { [id]: label }
+ */
+export const getCategoryLabels = (registry) => {
+    const all = Object.keys(CATEGORY_KINDS).flatMap(kind => (registry[kind] || []).map(category => ({ kind, category })));
+    const labels = {};
+
+    all.forEach(({ kind, category }) => {
+        // Same id in two kinds (loja_movimento) is the same thing, first label wins
+        if (category.id in labels) return;
+
+        const sharedId = all.some(other => other.kind !== kind && other.category.id === category.id);
+        const sharedLabel = all.some(other => other.kind !== kind && other.category.label === category.label);
+        labels[category.id] = sharedLabel && !sharedId
+            ? `${category.label} (${CATEGORY_KINDS[kind].suffix})`
+            : category.label;
+    });
+
+    return labels;
+};
+
+// ============================================
+// Editing
+// ============================================
+
+/**
+ * Build a unique id from a label (lowercase, no accents, underscores)
+ * @param {object} registry - Registry
+ * @param {string} label - Category name
+ * @returns {string} Id not used by any kind
+ */
+const createCategoryId = (registry, label) => {
+    const base = label
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '') || 'categoria';
+
+    const taken = new Set([
+        ...RESERVED_IDS,
+        ...Object.values(registry).flat().map(category => category.id)
+    ]);
+
+    let id = base;
+    for (let index = 2; taken.has(id); index++) {
+        id = `${base}_${index}`;
+    }
+    return id;
+};
+
+/**
+ * Create a category
+ * @param {string} kind - income, expense or saving
+ * @param {object} data - { label, description, icon, color, passengerTransport (income only) }
+ * @returns {Promise<object>} Created category
+ */
+export const addCategory = async (kind, data) => {
+    const registry = await getCategories();
+    const label = data.label.trim();
+    if (!label) throw new Error('Informe o nome da categoria');
+
+    const category = {
+        id: createCategoryId(registry, label),
+        label,
+        description: (data.description || '').trim(),
+        icon: data.icon || 'payments',
+        color: data.color || 'slate-600',
+        archived: false
+    };
+    if (kind === 'income') category.passengerTransport = data.passengerTransport === true;
+
+    await saveCategories({ ...registry, [kind]: [...registry[kind], category] });
+    return category;
+};
+
+/**
+ * Rename a category or change its icon and color (the id never changes)
+ * @param {string} kind - income, expense or saving
+ * @param {string} id - Category id
+ * @param {object} data - { label, description, icon, color, passengerTransport (income only) }
+ * @returns {Promise<boolean>} Success
+ */
+export const updateCategory = async (kind, id, data) => {
+    const registry = await getCategories();
+    if (data.label !== undefined && !data.label.trim()) throw new Error('Informe o nome da categoria');
+
+    const categories = registry[kind].map(category => {
+        if (category.id !== id) return category;
+
+        const updated = { ...category, ...data };
+        if (data.label !== undefined) updated.label = data.label.trim();
+        // A chosen symbol replaces the partner logo
+        if (data.icon !== undefined && data.icon !== category.icon) delete updated.image;
+        return updated;
+    });
+
+    await saveCategories({ ...registry, [kind]: categories });
+    return true;
+};
+
+/**
+ * Archive or restore a category
+ * Archived categories keep their history but are no longer offered for new records
+ * @param {string} kind - income, expense or saving
+ * @param {string} id - Category id
+ * @param {boolean} archived - Archive (true) or restore (false)
+ * @returns {Promise<boolean>} Success
+ */
+export const setCategoryArchived = async (kind, id, archived) => {
+    if (archived && isSystemCategory(kind, id)) throw new Error('Esta categoria é usada pelo app e não pode ser arquivada');
+    const registry = await getCategories();
+    if (archived && getActiveCategories(registry, kind).length <= 1) {
+        throw new Error('Mantenha ao menos uma categoria ativa');
+    }
+    return updateCategory(kind, id, { archived });
+};
+
+/**
+ * Merge a category into another
+ * Historic transactions (line items included), sessions, recurring templates,
+ * budget envelopes and limit goals move to the target and the source is removed from the registry
+ * The source only leaves the registry at the end, so a merge that stops halfway can be run again
+ * @param {string} kind - income, expense or saving
+ * @param {string} fromId - Category that goes away
+ * @param {string} toId - Category that stays
+ * @param {function} onProgress - ({ step: transactions|sessions|budgets, done, total }) while writing (optional)
+ * @returns {Promise<number>} Number of transactions re-tagged
+ * @throws {Error} When the merge is interrupted (nothing is lost, run it again)
+ */
+export const mergeCategories = async (kind, fromId, toId, onProgress = null) => {
+    const registry = await getCategories();
+    if (fromId === toId) throw new Error('Escolha outra categoria');
+    if (isSystemCategory(kind, fromId)) throw new Error('Esta categoria é usada pelo app e não pode ser mesclada em outra');
+    if (!registry[kind].some(c => c.id === toId)) throw new Error('Categoria de destino não encontrada');
+
+    const report = (step) => onProgress ? (done, total) => onProgress({ step, done, total }) : null;
+
+    let retagged = 0;
+    try {
+        retagged = await retagTransactions(fromId, toId, (t) => getTransactionCategoryKind(t) === kind, report('transactions'));
+
+        const templates = await getRecurringTemplates();
+        for (const template of templates) {
+            if (template.category === fromId && getTransactionCategoryKind(template) === kind) {
+                await updateRecurringTemplate(template.id, { category: toId });
+            }
+        }
+
+        if (kind === 'income' || kind === 'expense') {
+            await retagSessions(fromId, toId, kind, report('sessions'));
+        }
+
+        if (kind === 'expense') {
+            await retagBudgets(fromId, toId, report('budgets'));
+
+            const goals = await getGoals();
+            for (const goal of goals) {
+                if (goal.expenseCategory === fromId) {
+                    await updateGoal(goal.id, { expenseCategory: toId });
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Mesclagem interrompida:', error);
+        throw new Error('A mesclagem parou no meio. Tente de novo para concluir');
+    }
+
+    await saveCategories({ ...registry, [kind]: registry[kind].filter(c => c.id !== fromId) });
+    if (retagged > 0) await recalculateGoalsProgress();
+    return retagged;
+};
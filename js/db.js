@@ -7,6 +7,7 @@ import {
     setDoc,
     getDoc,
     getDocs,
+    getDocsFromCache,
     addDoc,
     updateDoc,
     deleteDoc,
@@ -17,7 +18,9 @@ import {
     startAfter,
     serverTimestamp,
     Timestamp,
-    onSnapshot
+    onSnapshot,
+    arrayUnion,
+    writeBatch
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
 import {
     ref,
@@ -25,7 +28,17 @@ import {
     getDownloadURL,
     deleteObject
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
-import { getStartOfDay, getStartOfWeek, getStartOfMonth } from './utils.js';
+import { getStartOfDay, getStartOfMonth, getPeriodRange } from './utils.js';
+
+/**
+ * Run a read query, straight from the offline cache when the device is offline
+ * (getDocs would first wait for the server before falling back to the cache)
+ * @param {object} q - Firestore query
+ * @returns {Promise<object>} Query snapshot
+ */
+const getDocsOfflineFirst = (q) => {
+    return navigator.onLine ? getDocs(q) : getDocsFromCache(q);
+};
 
 // ============================================
 // User Profile Operations
@@ -101,6 +114,7 @@ export const updateUserSettings = async (data) => {
     if (!uid) return false;
 
     await setDoc(doc(db, 'users', uid, 'settings', 'preferences'), data, { merge: true });
+    if (data.categories) searchLabelsPromise = null;
     return true;
 };
 
@@ -108,22 +122,207 @@ export const updateUserSettings = async (data) => {
 // Transaction Operations
 // ============================================
 
+// Bump when the token rules change so old transactions get re-indexed
+// (2: category labels are indexed along with the ids)
+export const SEARCH_INDEX_VERSION = 2;
+const SEARCH_MIN_TOKEN = 2;
+const SEARCH_MAX_PREFIX = 15;
+
+// Largest batch read for a page when the amount range / extra search words
+// are filtered on the client (batches double up to it on selective filters)
+const MAX_PAGE_BATCH_SIZE = 240;
+
+// Firestore limit of writes per batch
+const WRITE_BATCH_LIMIT = 500;
+
+// Category labels by id for search tokens, read once per page from the registry in the settings
+let searchLabelsPromise = null;
+
+/**
+ * Split text into search words (lowercase, no accents)
+ * @param {string} text - Free text
+ * @returns {array} Words with at least 2 characters
+ */
+export const getSearchWords = (text) => {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length >= SEARCH_MIN_TOKEN)
+        .map(word => word.slice(0, SEARCH_MAX_PREFIX));
+};
+
+/**
+ * Category labels indexed by search, from the category registry in the user settings
+ * (only ids are indexed while the registry does not exist yet)
+ * @returns {Promise<object>} { [id]: labels of the id across kinds, space separated }
+ */
+const getSearchCategoryLabels = () => {
+    if (!searchLabelsPromise) {
+        searchLabelsPromise = getUserSettings()
+            .then(settings => {
+                const labels = {};
+                Object.values(settings?.categories || {}).flat().forEach(category => {
+                    if (!category?.id || !category.label) return;
+                    if (!labels[category.id]) labels[category.id] = category.label;
+                    else if (!labels[category.id].includes(category.label)) labels[category.id] += ` ${category.label}`;
+                });
+                return labels;
+            })
+            .catch(error => {
+                searchLabelsPromise = null;
+                console.warn('Busca sem nomes de categoria:', error);
+                return {};
+            });
+    }
+    return searchLabelsPromise;
+};
+
+/**
+ * Build the prefixes stored in transaction.searchTokens
+ * Firestore has no text search, so every prefix of every word of the
+ * description, category id and category label (line items included) is indexed for array-contains queries
+ * @param {object} transaction - { description, category, items }
+ * @param {object} labels - Category labels from getSearchCategoryLabels
+ * @returns {array} Search tokens
+ */
+const buildSearchTokens = (transaction, labels = {}) => {
+    const tokens = new Set();
+    const categoryText = (category) => category ? `${category} ${labels[category] || ''}` : '';
+    const itemsText = (transaction.items || []).map(item => `${item.description || ''} ${categoryText(item.category)}`).join(' ');
+    getSearchWords(`${transaction.description || ''} ${categoryText(transaction.category)} ${itemsText}`).forEach(word => {
+        for (let length = SEARCH_MIN_TOKEN; length <= word.length; length++) {
+            tokens.add(word.slice(0, length));
+        }
+    });
+    return [...tokens];
+};
+
+/**
+ * Check and normalize the line items of a split transaction
+ * (e.g. a maintenance visit split into parts, labor and wash)
+ * @param {array} items - [{ category, amount, description }]
+ * @param {number} amount - Transaction total
+ * @returns {array|null} Items with amounts rounded to cents (null when there are none)
+ * @throws {Error} When an item is incomplete or the items do not add up to the total
+ */
+export const normalizeTransactionItems = (items, amount) => {
+    if (!items || items.length === 0) return null;
+
+    const normalized = items.map(item => ({
+        category: item.category,
+        amount: Math.round((item.amount || 0) * 100) / 100,
+        description: item.description || null
+    }));
+
+    if (normalized.some(item => !item.category || item.amount <= 0)) {
+        throw new Error('Cada item precisa de categoria e valor');
+    }
+
+    const itemsTotal = normalized.reduce((sum, item) => sum + item.amount, 0);
+    if (Math.round(itemsTotal * 100) !== Math.round((amount || 0) * 100)) {
+        throw new Error('A soma dos itens deve ser igual ao valor total');
+    }
+
+    return normalized;
+};
+
+/**
+ * Lines a transaction counts as in category totals: one per line item,
+ * or the transaction itself when it is not split
+ * @param {object} transaction - Transaction
+ * @returns {array} Transactions with the item category, amount and description
+ */
+export const getTransactionItems = (transaction) => {
+    if (!transaction.items || transaction.items.length === 0) return [transaction];
+
+    return transaction.items.map(item => ({
+        ...transaction,
+        category: item.category,
+        amount: item.amount,
+        description: item.description || transaction.description,
+        items: null,
+        parentId: transaction.id
+    }));
+};
+
+/**
+ * Replace split transactions by their line items (see getTransactionItems)
+ * @param {array} transactions - Transactions
+ * @returns {array} Transactions and line items
+ */
+export const expandTransactionItems = (transactions) => {
+    return transactions.flatMap(getTransactionItems);
+};
+
+/**
+ * Reserve an ID for a new transaction (lets receipts be uploaded before the document exists)
+ * @returns {string} Transaction ID
+ */
+export const newTransactionId = () => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    return doc(collection(db, 'users', uid, 'transactions')).id;
+};
+
+/**
+ * Upload receipt photos of a transaction
+ * Paths are fixed by position, so a retried upload overwrites instead of duplicating
+ * @param {string} transactionId - Transaction ID
+ * @param {array} files - Image files or blobs (already compressed)
+ * @returns {Promise<array>} [{ path, url, size, contentType }]
+ */
+export const uploadTransactionReceipts = async (transactionId, files = []) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    const receipts = [];
+    for (const [index, file] of files.entries()) {
+        const path = `receipts/${uid}/${transactionId}/${index}.jpg`;
+        const storageRef = ref(storage, path);
+        await uploadBytes(storageRef, file, { contentType: file.type || 'image/jpeg' });
+        receipts.push({
+            path,
+            url: await getDownloadURL(storageRef),
+            size: file.size || 0,
+            contentType: file.type || 'image/jpeg'
+        });
+    }
+
+    return receipts;
+};
+
 /**
  * Add new transaction
  * @param {object} transaction - Transaction data
+ * @param {string} transactionId - Fixed ID for idempotent writes (optional)
  * @returns {Promise<string>} Transaction ID
  */
-export const addTransaction = async (transaction) => {
+export const addTransaction = async (transaction, transactionId = null) => {
     const uid = auth.currentUser?.uid;
     if (!uid) throw new Error('Usuário não autenticado');
 
+    const { items, ...fields } = transaction;
     const transactionData = {
-        ...transaction,
+        ...fields,
         userId: uid,
+        searchTokens: buildSearchTokens(transaction, await getSearchCategoryLabels()),
         createdAt: serverTimestamp(),
         date: Timestamp.fromDate(new Date(transaction.date))
     };
 
+    const lineItems = normalizeTransactionItems(items, transaction.amount);
+    if (lineItems) {
+        transactionData.items = lineItems;
+    }
+
+    if (transactionId) {
+        await setDoc(doc(db, 'users', uid, 'transactions', transactionId), transactionData);
+        return transactionId;
+    }
+
     const docRef = await addDoc(
         collection(db, 'users', uid, 'transactions'),
         transactionData
@@ -164,7 +363,7 @@ export const getTransactions = async (filters = {}) => {
         q = query(q, limit(filters.limit));
     }
 
-    const snapshot = await getDocs(q);
+    const snapshot = await getDocsOfflineFirst(q);
     return snapshot.docs.map(doc => ({
         id: doc.id,
         ...doc.data(),
@@ -172,6 +371,151 @@ export const getTransactions = async (filters = {}) => {
     }));
 };
 
+/**
+ * Filters Firestore cannot combine with the query (amount range, extra search words)
+ * @param {object} filters - { minAmount, maxAmount }
+ * @param {array} searchWords - Words every transaction must contain
+ * @returns {object} { matches(data), filtersOnClient }
+ */
+const createClientFilter = (filters, searchWords) => {
+    const hasMinAmount = filters.minAmount !== null && filters.minAmount !== undefined;
+    const hasMaxAmount = filters.maxAmount !== null && filters.maxAmount !== undefined;
+
+    return {
+        matches: (data) => {
+            if (hasMinAmount && data.amount < filters.minAmount) return false;
+            if (hasMaxAmount && data.amount > filters.maxAmount) return false;
+            return searchWords.every(word => (data.searchTokens || []).includes(word));
+        },
+        filtersOnClient: hasMinAmount || hasMaxAmount || searchWords.length > 0
+    };
+};
+
+/**
+ * Get one page of transactions (cursor pagination, newest first)
+ * Type, category, date range and the first search word run as Firestore filters.
+ * Firestore only allows range filters on one field per query (date), so the
+ * amount range and the other search words are checked on each fetched batch,
+ * fetching more (and bigger) batches until the page is full or the history is over
+ * Every filter combination has a composite index in firestore.indexes.json
+ * @param {object} filters - { type, category, startDate, endDate, minAmount, maxAmount, search }
+ * @param {object|null} cursor - Cursor returned by the previous page (null for the first)
+ * @param {number} pageSize - Transactions per page
+ * @returns {Promise<object>} { transactions, cursor, hasMore }
+ */
+export const getTransactionsPage = async (filters = {}, cursor = null, pageSize = 30) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return { transactions: [], cursor: null, hasMore: false };
+
+    const constraints = [orderBy('date', 'desc')];
+    if (filters.type) {
+        constraints.push(where('type', '==', filters.type));
+    }
+    if (filters.category) {
+        constraints.push(where('category', '==', filters.category));
+    }
+    if (filters.startDate) {
+        constraints.push(where('date', '>=', Timestamp.fromDate(filters.startDate)));
+    }
+    if (filters.endDate) {
+        constraints.push(where('date', '<=', Timestamp.fromDate(filters.endDate)));
+    }
+
+    const searchWords = getSearchWords(filters.search);
+    if (searchWords.length > 0) {
+        constraints.push(where('searchTokens', 'array-contains', searchWords[0]));
+    }
+
+    const { matches, filtersOnClient } = createClientFilter(filters, searchWords.slice(1));
+
+    const transactionsRef = collection(db, 'users', uid, 'transactions');
+    const transactions = [];
+    let lastDoc = cursor;
+    let hasMore = true;
+    let batchSize = pageSize;
+
+    // Keep reading until the page is full or the history is over,
+    // so selective filters never return a short page while more data exists
+    while (hasMore && transactions.length < pageSize) {
+        const batchConstraints = lastDoc
+            ? [...constraints, startAfter(lastDoc), limit(batchSize)]
+            : [...constraints, limit(batchSize)];
+        const snapshot = await getDocsOfflineFirst(query(transactionsRef, ...batchConstraints));
+
+        for (const docSnap of snapshot.docs) {
+            lastDoc = docSnap;
+            if (matches(docSnap.data())) {
+                transactions.push({
+                    id: docSnap.id,
+                    ...docSnap.data(),
+                    date: docSnap.data().date?.toDate() || new Date()
+                });
+                if (transactions.length >= pageSize) break;
+            }
+        }
+
+        // A short batch read to the end means the history is over
+        const readWholeBatch = snapshot.empty || lastDoc === snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.docs.length < batchSize && readWholeBatch) {
+            hasMore = false;
+        }
+
+        if (filtersOnClient) {
+            batchSize = Math.min(batchSize * 2, MAX_PAGE_BATCH_SIZE);
+        }
+    }
+
+    return { transactions, cursor: lastDoc, hasMore };
+};
+
+/**
+ * Add search tokens to transactions saved before search existed
+ * (or with an older token version); runs once per user
+ * @returns {Promise<number>} Number of transactions updated
+ */
+export const ensureTransactionSearchIndex = async () => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return 0;
+
+    const settings = await getUserSettings();
+    if ((settings?.searchIndexVersion || 0) >= SEARCH_INDEX_VERSION) return 0;
+
+    const transactionsRef = collection(db, 'users', uid, 'transactions');
+    const labels = await getSearchCategoryLabels();
+    let updated = 0;
+    let lastDoc = null;
+
+    // One write batch per read batch instead of a round trip per transaction
+    while (true) {
+        const q = lastDoc
+            ? query(transactionsRef, orderBy('date', 'desc'), startAfter(lastDoc), limit(WRITE_BATCH_LIMIT))
+            : query(transactionsRef, orderBy('date', 'desc'), limit(WRITE_BATCH_LIMIT));
+        const snapshot = await getDocs(q);
+        if (snapshot.empty) break;
+
+        const batch = writeBatch(db);
+        let batchWrites = 0;
+        for (const docSnap of snapshot.docs) {
+            const searchTokens = buildSearchTokens(docSnap.data(), labels);
+            const current = docSnap.data().searchTokens || [];
+            if (current.length !== searchTokens.length || searchTokens.some(token => !current.includes(token))) {
+                batch.update(docSnap.ref, { searchTokens });
+                batchWrites++;
+            }
+        }
+        if (batchWrites > 0) {
+            await batch.commit();
+            updated += batchWrites;
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.docs.length < WRITE_BATCH_LIMIT) break;
+    }
+
+    await updateUserSettings({ searchIndexVersion: SEARCH_INDEX_VERSION });
+    return updated;
+};
+
 /**
  * Get single transaction
  * @param {string} transactionId - Transaction ID
@@ -208,6 +552,21 @@ export const updateTransaction = async (transactionId, data) => {
         updateData.date = Timestamp.fromDate(new Date(data.date));
     }
 
+    const changesItems = data.items !== undefined || data.amount !== undefined;
+    if (changesItems || data.description !== undefined || data.category !== undefined) {
+        const current = (await getDoc(doc(db, 'users', uid, 'transactions', transactionId))).data();
+        const merged = { ...current, ...data };
+
+        // Line items must keep adding up to the (new) total
+        if (changesItems) {
+            merged.items = normalizeTransactionItems(merged.items, merged.amount);
+            updateData.items = merged.items;
+        }
+
+        // Keep search tokens in sync with the text they index
+        updateData.searchTokens = buildSearchTokens(merged, await getSearchCategoryLabels());
+    }
+
     await updateDoc(
         doc(db, 'users', uid, 'transactions', transactionId),
         updateData
@@ -216,7 +575,7 @@ export const updateTransaction = async (transactionId, data) => {
 };
 
 /**
- * Delete transaction
+ * Delete transaction and its receipt photos
  * @param {string} transactionId - Transaction ID
  * @returns {Promise<boolean>} Success
  */
@@ -224,37 +583,119 @@ export const deleteTransaction = async (transactionId) => {
     const uid = auth.currentUser?.uid;
     if (!uid) return false;
 
+    // Receipt photos live in Storage, read their paths before the document is gone
+    const snap = await getDoc(doc(db, 'users', uid, 'transactions', transactionId));
+    const receipts = snap.exists() ? (snap.data().receipts || []) : [];
+
     await deleteDoc(doc(db, 'users', uid, 'transactions', transactionId));
+
+    for (const receipt of receipts) {
+        try {
+            await deleteObject(ref(storage, receipt.path));
+        } catch (error) {
+            if (error.code !== 'storage/object-not-found') {
+                console.error('Erro ao remover comprovante:', receipt.path, error);
+            }
+        }
+    }
+
     return true;
 };
 
+/**
+ * Apply updates in write batches of WRITE_BATCH_LIMIT documents
+ * A failure stops at a batch boundary; callers re-read what is left, so running again finishes the job
+ * @param {array} updates - [{ ref, changes }]
+ * @param {function} onProgress - (done, total) after each batch (optional)
+ * @returns {Promise<number>} Number of documents updated
+ */
+const commitUpdatesInBatches = async (updates, onProgress = null) => {
+    for (let start = 0; start < updates.length; start += WRITE_BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        updates.slice(start, start + WRITE_BATCH_LIMIT).forEach(({ ref, changes }) => batch.update(ref, changes));
+        await batch.commit();
+        if (onProgress) onProgress(Math.min(start + WRITE_BATCH_LIMIT, updates.length), updates.length);
+    }
+    return updates.length;
+};
+
+/**
+ * Move every transaction of a category to another one (used when merging categories)
+ * Line items are checked too; Firestore cannot query inside the items array,
+ * so every transaction is read and filtered here
+ * @param {string} fromCategory - Current category id
+ * @param {string} toCategory - New category id
+ * @param {function} match - Extra filter, ids can repeat across income/expense (optional)
+ * @param {function} onProgress - (done, total) while writing (optional)
+ * @returns {Promise<number>} Number of transactions updated
+ */
+export const retagTransactions = async (fromCategory, toCategory, match = () => true, onProgress = null) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    const [snapshot, labels] = await Promise.all([
+        getDocs(collection(db, 'users', uid, 'transactions')),
+        getSearchCategoryLabels()
+    ]);
+
+    const updates = [];
+    for (const docSnap of snapshot.docs) {
+        const data = docSnap.data();
+        const itemsMatch = (data.items || []).some(item => item.category === fromCategory);
+        if ((data.category !== fromCategory && !itemsMatch) || !match(data)) continue;
+
+        const changes = {};
+        if (data.category === fromCategory) changes.category = toCategory;
+        if (itemsMatch) {
+            changes.items = data.items.map(item => (
+                item.category === fromCategory ? { ...item, category: toCategory } : item
+            ));
+        }
+        changes.searchTokens = buildSearchTokens({ ...data, ...changes }, labels);
+
+        updates.push({ ref: docSnap.ref, changes });
+    }
+
+    return commitUpdatesInBatches(updates, onProgress);
+};
+
 /**
  * Get transactions summary (totals)
+ * Accepts the same filters as getTransactionsPage so totals can follow a filtered list
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
- * @returns {Promise<object>} Summary with income, expenses, balance
+ * @param {object} filters - { type, category, minAmount, maxAmount, search } (optional)
+ * @returns {Promise<object>} Summary with income, expenses, balance, count
+ * and byCategory: { income, expenses } totals per category (line items counted apart)
  */
-export const getTransactionsSummary = async (startDate, endDate) => {
-    const transactions = await getTransactions({
+export const getTransactionsSummary = async (startDate, endDate, filters = {}) => {
+    const { matches } = createClientFilter(filters, getSearchWords(filters.search));
+    const transactions = (await getTransactions({
+        type: filters.type,
+        category: filters.category,
         startDate,
         endDate
-    });
+    })).filter(matches);
 
     const summary = {
         income: 0,
         expenses: 0,
         balance: 0,
-        count: transactions.length
+        count: transactions.length,
+        byCategory: { income: {}, expenses: {} }
     };
 
-    transactions.forEach(t => {
+    // Split transactions count once per line item, under the item category
+    expandTransactionItems(transactions).forEach(t => {
         // Apenas type=income conta como receita
         // Apenas type=expense conta como despesa
         // Tipos corridas e km são registros de atividade, não financeiros
         if (t.type === 'income') {
             summary.income += t.amount;
+            summary.byCategory.income[t.category] = (summary.byCategory.income[t.category] || 0) + t.amount;
         } else if (t.type === 'expense') {
             summary.expenses += t.amount;
+            summary.byCategory.expenses[t.category] = (summary.byCategory.expenses[t.category] || 0) + t.amount;
         }
     });
 
@@ -267,9 +708,10 @@ export const getTransactionsSummary = async (startDate, endDate) => {
  * Subscribe to transactions summary in real-time
  * @param {Date} startDate - Start date filter
  * @param {function} callback - Callback with summary data
+ * @param {Date} endDate - End date filter (optional, open-ended by default)
  * @returns {function} Unsubscribe function
  */
-export const subscribeToTransactionsSummary = (startDate, callback) => {
+export const subscribeToTransactionsSummary = (startDate, callback, endDate = null) => {
     const uid = auth.currentUser?.uid;
     if (!uid) {
         callback({ income: 0, expenses: 0, balance: 0, count: 0 });
@@ -277,11 +719,11 @@ export const subscribeToTransactionsSummary = (startDate, callback) => {
     }
 
     const transactionsRef = collection(db, 'users', uid, 'transactions');
-    const q = query(
-        transactionsRef,
-        where('date', '>=', Timestamp.fromDate(startDate)),
-        orderBy('date', 'desc')
-    );
+    const constraints = [where('date', '>=', Timestamp.fromDate(startDate))];
+    if (endDate) {
+        constraints.push(where('date', '<=', Timestamp.fromDate(endDate)));
+    }
+    const q = query(transactionsRef, ...constraints, orderBy('date', 'desc'));
 
     const unsubscribe = onSnapshot(q, (snapshot) => {
         const summary = {
@@ -314,9 +756,10 @@ export const subscribeToTransactionsSummary = (startDate, callback) => {
  * Subscribe to savings summary in real-time (transactions with subType 'saving')
  * @param {Date} startDate - Start date filter
  * @param {function} callback - Callback with savings total
+ * @param {Date} endDate - End date filter (optional, open-ended by default)
  * @returns {function} Unsubscribe function
  */
-export const subscribeToSavingsSummary = (startDate, callback) => {
+export const subscribeToSavingsSummary = (startDate, callback, endDate = null) => {
     const uid = auth.currentUser?.uid;
     if (!uid) {
         callback({ savings: 0, count: 0 });
@@ -324,12 +767,14 @@ export const subscribeToSavingsSummary = (startDate, callback) => {
     }
 
     const transactionsRef = collection(db, 'users', uid, 'transactions');
-    const q = query(
-        transactionsRef,
+    const constraints = [
         where('date', '>=', Timestamp.fromDate(startDate)),
-        where('subType', '==', 'saving'),
-        orderBy('date', 'desc')
-    );
+        where('subType', '==', 'saving')
+    ];
+    if (endDate) {
+        constraints.push(where('date', '<=', Timestamp.fromDate(endDate)));
+    }
+    const q = query(transactionsRef, ...constraints, orderBy('date', 'desc'));
 
     const unsubscribe = onSnapshot(q, (snapshot) => {
         let savings = 0;
@@ -347,6 +792,106 @@ export const subscribeToSavingsSummary = (startDate, callback) => {
     return unsubscribe;
 };
 
+/**
+ * Income, expenses, balance and savings of a list of transactions
+ * (same rules as getTransactionsSummary; savings are also counted apart)
+ * @param {array} transactions - Transactions
+ * @returns {object} { income, expenses, balance, savings }
+ */
+const toPeriodTotals = (transactions) => {
+    const totals = { income: 0, expenses: 0, balance: 0, savings: 0 };
+    transactions.forEach(t => {
+        if (t.type === 'income') {
+            totals.income += t.amount || 0;
+        } else if (t.type === 'expense') {
+            totals.expenses += t.amount || 0;
+            if (t.subType === 'saving') totals.savings += t.amount || 0;
+        }
+    });
+    totals.balance = totals.income - totals.expenses;
+    return totals;
+};
+
+/**
+ * Summary of a period filter against the previous range it is compared with
+ * (e.g. this week until Wednesday 14:00 vs last week until Wednesday 14:00,
+ * see getPeriodRange), plus a daily moving average trend for sparklines.
+ * Everything comes from a single transactions query
+ * @param {string} period - 'day', 'week', 'month', 'year', '7d', '30d', 'lastMonth' or 'custom'
+ * @param {object} options - { now, startDate, endDate } (startDate/endDate for 'custom')
+ * @returns {Promise<object>} {
+ *   current, previous: { startDate, endDate, income, expenses, balance, savings },
+ *   changes: { income, expenses, balance, savings } in % (null without a previous value),
+ *   trend: { window (days: 7, or 30 for month, year and ranges longer than a week), points: [{ date, income, expenses, balance, savings }] }
+ * }
+ */
+export const getPeriodComparisonSummary = async (period, options = {}) => {
+    const { now = new Date() } = options;
+    const range = getPeriodRange(period, options);
+
+    // Trend: 30 days up to the end of the range, each point averaging the `window` days up to it
+    const trendEnd = range.endDate < now ? range.endDate : now;
+    const trendPoints = 30;
+    const isLongRange = period === 'custom'
+        ? range.endDate - range.startDate > 7 * 24 * 60 * 60 * 1000
+        : ['month', 'year', '30d', 'lastMonth'].includes(period);
+    const trendWindow = isLongRange ? 30 : 7;
+    const trendStart = new Date(trendEnd.getFullYear(), trendEnd.getMonth(), trendEnd.getDate() - (trendPoints + trendWindow - 2));
+
+    const loadFrom = range.previousStartDate < trendStart ? range.previousStartDate : trendStart;
+    const loadUntil = range.endDate > trendEnd ? range.endDate : trendEnd;
+    const transactions = await getTransactions({ startDate: loadFrom, endDate: loadUntil });
+
+    const current = {
+        startDate: range.startDate,
+        endDate: range.endDate,
+        ...toPeriodTotals(transactions.filter(t => t.date >= range.startDate && t.date <= range.endDate))
+    };
+    const previous = {
+        startDate: range.previousStartDate,
+        endDate: range.previousEndDate,
+        ...toPeriodTotals(transactions.filter(t => t.date >= range.previousStartDate && t.date <= range.previousEndDate))
+    };
+
+    const changes = {};
+    ['income', 'expenses', 'balance', 'savings'].forEach(key => {
+        changes[key] = previous[key]
+            ? Math.round(((current[key] - previous[key]) / Math.abs(previous[key])) * 100)
+            : null;
+    });
+
+    // Daily totals, then moving averages
+    const days = [];
+    for (let i = 0; i < trendPoints + trendWindow - 1; i++) {
+        const dayStart = new Date(trendStart.getFullYear(), trendStart.getMonth(), trendStart.getDate() + i);
+        const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1);
+        days.push({
+            date: dayStart,
+            ...toPeriodTotals(transactions.filter(t => t.date >= dayStart && t.date < dayEnd))
+        });
+    }
+
+    const points = days.slice(trendWindow - 1).map((day, index) => {
+        const windowDays = days.slice(index, index + trendWindow);
+        const average = (key) => windowDays.reduce((sum, d) => sum + d[key], 0) / trendWindow;
+        return {
+            date: day.date,
+            income: average('income'),
+            expenses: average('expenses'),
+            balance: average('balance'),
+            savings: average('savings')
+        };
+    });
+
+    return {
+        period,
+        current,
+        previous,
+        changes,
+        trend: { window: trendWindow, points }
+    };
+};
+
 // ============================================
 // Session Operations
 // ============================================
@@ -375,6 +920,9 @@ export const startSession = async () => {
         rides: 0,
         expenses: 0,
         status: 'active',
+        pausedAt: null,
+        breaks: [],
+        breakDuration: 0,
         date: Timestamp.fromDate(getStartOfDay())
     };
 
@@ -388,97 +936,301 @@ export const startSession = async () => {
 };
 
 /**
- * End work session
+ * Pause work session (start a break)
+ * Times are taken on the client so the page can keep counting while offline
  * @param {string} sessionId - Session ID
- * @param {number} duration - Duration in seconds
- * @param {number} earnings - Total earnings
- * @param {number} rides - Number of rides (optional)
- * @param {number} expenses - Total expenses (optional)
+ * @param {Date} pausedAt - Break start (defaults to now)
  * @returns {Promise<boolean>} Success
  */
-export const endSession = async (sessionId, duration, earnings, rides = 0, expenses = 0) => {
+export const pauseSession = async (sessionId, pausedAt = new Date()) => {
     const uid = auth.currentUser?.uid;
-    if (!uid) return false;
+    if (!uid) throw new Error('Usuário não autenticado');
 
     await updateDoc(doc(db, 'users', uid, 'sessions', sessionId), {
-        endTime: serverTimestamp(),
-        duration,
-        earnings,
-        rides: rides || 0,
-        expenses: expenses || 0,
-        netProfit: earnings - (expenses || 0),
-        status: 'completed'
+        pausedAt: Timestamp.fromDate(pausedAt)
     });
 
-    // Goals are now updated by the calling page to avoid double-counting
-    // when auto-register is enabled
-
     return true;
 };
 
 /**
- * Get sessions with optional filters
- * @param {object} filters - Filter options
- * @returns {Promise<array>} Sessions array
+ * Resume paused work session (close the current break)
+ * @param {string} sessionId - Session ID
+ * @param {Date} breakStart - When the break started (session pausedAt)
+ * @param {Date} breakEnd - When the break ended (defaults to now)
+ * @returns {Promise<boolean>} Success
  */
-export const getSessions = async (filters = {}) => {
+export const resumeSession = async (sessionId, breakStart, breakEnd = new Date()) => {
     const uid = auth.currentUser?.uid;
-    if (!uid) return [];
-
-    const sessionsRef = collection(db, 'users', uid, 'sessions');
-    let q = query(sessionsRef, orderBy('startTime', 'desc'));
+    if (!uid) throw new Error('Usuário não autenticado');
 
-    if (filters.status) {
-        q = query(q, where('status', '==', filters.status));
-    }
-    if (filters.limit) {
-        q = query(q, limit(filters.limit));
-    }
+    await updateDoc(doc(db, 'users', uid, 'sessions', sessionId), {
+        pausedAt: null,
+        breaks: arrayUnion({
+            start: Timestamp.fromDate(breakStart),
+            end: Timestamp.fromDate(breakEnd)
+        })
+    });
 
-    const snapshot = await getDocs(q);
-    return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        startTime: doc.data().startTime?.toDate() || new Date(),
-        endTime: doc.data().endTime?.toDate() || null
-    }));
+    return true;
 };
 
 /**
- * Get active session (if any)
- * @returns {Promise<object|null>} Active session or null
+ * Calculate total break time of a session
+ * @param {array} breaks - Closed breaks [{ start, end }] as Dates
+ * @param {Date|null} pausedAt - Start of the open break, if paused
+ * @param {Date} now - Reference time for the open break
+ * @returns {number} Break time in seconds
  */
-export const getActiveSession = async () => {
-    const sessions = await getSessions({ status: 'active', limit: 1 });
-    return sessions.length > 0 ? sessions[0] : null;
+export const calculateBreakSeconds = (breaks = [], pausedAt = null, now = new Date()) => {
+    let total = breaks.reduce((sum, interval) => {
+        return sum + Math.max(0, new Date(interval.end) - new Date(interval.start));
+    }, 0);
+
+    if (pausedAt) {
+        total += Math.max(0, now - new Date(pausedAt));
+    }
+
+    return Math.floor(total / 1000);
 };
 
 /**
- * Get session by ID
- * @param {string} sessionId - Session ID
- * @returns {Promise<object|null>} Session data or null
+ * Per-platform stats across sessions
+ * Active time of each session is split between platforms by ride share
+ * (earnings share when no rides were informed)
+ * @param {array} sessions - Sessions with platforms breakdown ({ duration, platforms })
+ * @returns {array} [{ platform, earnings, rides, hours, hourlyRate, perRide }] sorted by earnings
  */
-export const getSession = async (sessionId) => {
-    const uid = auth.currentUser?.uid;
-    if (!uid) return null;
+export const calculatePlatformStats = (sessions = []) => {
+    const totals = {};
 
-    const docRef = doc(db, 'users', uid, 'sessions', sessionId);
-    const docSnap = await getDoc(docRef);
+    sessions.forEach(session => {
+        const entries = Object.entries(session.platforms || {});
+        if (entries.length === 0) return;
 
-    if (!docSnap.exists()) return null;
+        const sessionRides = entries.reduce((sum, [, platform]) => sum + (platform.rides || 0), 0);
+        const sessionEarnings = entries.reduce((sum, [, platform]) => sum + (platform.earnings || 0), 0);
+        const sessionHours = (session.duration || 0) / 3600;
 
-    return {
-        id: docSnap.id,
-        ...docSnap.data(),
-        startTime: docSnap.data().startTime?.toDate() || new Date(),
-        endTime: docSnap.data().endTime?.toDate() || null
-    };
+        entries.forEach(([platformId, platform]) => {
+            let share = 0;
+            if (sessionRides > 0) share = (platform.rides || 0) / sessionRides;
+            else if (sessionEarnings > 0) share = (platform.earnings || 0) / sessionEarnings;
+
+            if (!totals[platformId]) {
+                totals[platformId] = { platform: platformId, earnings: 0, rides: 0, hours: 0 };
+            }
+            totals[platformId].earnings += platform.earnings || 0;
+            totals[platformId].rides += platform.rides || 0;
+            totals[platformId].hours += sessionHours * share;
+        });
+    });
+
+    return Object.values(totals)
+        .map(total => ({
+            ...total,
+            hourlyRate: total.hours > 0 ? total.earnings / total.hours : 0,
+            perRide: total.rides > 0 ? total.earnings / total.rides : 0
+        }))
+        .sort((a, b) => b.earnings - a.earnings);
 };
 
 /**
- * Cleanup abandoned active sessions (older than 24 hours)
- * Call this periodically to prevent orphan sessions
- * @returns {Promise<number>} Number of sessions cleaned
+ * End work session
+ * @param {string} sessionId - Session ID
+ * @param {number} duration - Active duration in seconds (breaks excluded)
+ * @param {number} earnings - Total earnings
+ * @param {number} rides - Number of rides (optional)
+ * @param {number} expenses - Total expenses (optional)
+ * @param {object} details - Optional shift details:
+ *   breaks - All breaks [{ start, end }], open break already closed
+ *   platforms - Earnings and rides per income category { uber: { earnings, rides } }
+ *   km - Km driven in the shift
+ *   expenseCategory - Category of the shift expenses
+ * @returns {Promise<boolean>} Success
+ */
+export const endSession = async (sessionId, duration, earnings, rides = 0, expenses = 0, details = {}) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return false;
+
+    const { breaks = null, platforms = null, km = 0, expenseCategory = null } = details || {};
+
+    const sessionUpdate = {
+        endTime: serverTimestamp(),
+        duration,
+        earnings,
+        rides: rides || 0,
+        expenses: expenses || 0,
+        netProfit: earnings - (expenses || 0),
+        pausedAt: null,
+        status: 'completed'
+    };
+
+    // Breaks are written as a whole so a replayed (offline) end keeps the original times
+    if (breaks) {
+        sessionUpdate.breaks = breaks.map(interval => ({
+            start: Timestamp.fromDate(new Date(interval.start)),
+            end: Timestamp.fromDate(new Date(interval.end))
+        }));
+        sessionUpdate.breakDuration = calculateBreakSeconds(breaks);
+    }
+
+    if (platforms) {
+        sessionUpdate.platforms = platforms;
+    }
+    if (km > 0) {
+        sessionUpdate.km = km;
+    }
+    if (expenseCategory) {
+        sessionUpdate.expenseCategory = expenseCategory;
+    }
+
+    await updateDoc(doc(db, 'users', uid, 'sessions', sessionId), sessionUpdate);
+
+    // Goals are now updated by the calling page to avoid double-counting
+    // when auto-register is enabled
+
+    return true;
+};
+
+/**
+ * Move the entry of a category into another one in a map keyed by category
+ * @param {object} map - { [category]: value }
+ * @param {string} fromCategory - Key that goes away
+ * @param {string} toCategory - Key that stays
+ * @param {function} combine - Joins both values when the target already has one
+ * @returns {object|null} New map or null when the category is not in it
+ */
+const moveCategoryKey = (map, fromCategory, toCategory, combine) => {
+    if (!map || !(fromCategory in map)) return null;
+
+    const { [fromCategory]: moved, ...rest } = map;
+    rest[toCategory] = toCategory in rest ? combine(rest[toCategory], moved) : moved;
+    return rest;
+};
+
+/**
+ * Move the category of every session to another one (used when merging categories)
+ * Income categories are the keys of the platforms breakdown, expense ones the expenseCategory
+ * @param {string} fromCategory - Current category id
+ * @param {string} toCategory - New category id
+ * @param {string} kind - income or expense
+ * @param {function} onProgress - (done, total) while writing (optional)
+ * @returns {Promise<number>} Number of sessions updated
+ */
+export const retagSessions = async (fromCategory, toCategory, kind, onProgress = null) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    const snapshot = await getDocs(collection(db, 'users', uid, 'sessions'));
+
+    const updates = [];
+    for (const docSnap of snapshot.docs) {
+        const data = docSnap.data();
+        const changes = {};
+
+        if (kind === 'income') {
+            const platforms = moveCategoryKey(data.platforms, fromCategory, toCategory, (a, b) => ({
+                earnings: Math.round(((a.earnings || 0) + (b.earnings || 0)) * 100) / 100,
+                rides: (a.rides || 0) + (b.rides || 0)
+            }));
+            if (platforms) changes.platforms = platforms;
+        } else if (kind === 'expense' && data.expenseCategory === fromCategory) {
+            changes.expenseCategory = toCategory;
+        }
+
+        if (Object.keys(changes).length === 0) continue;
+        updates.push({ ref: docSnap.ref, changes });
+    }
+
+    return commitUpdatesInBatches(updates, onProgress);
+};
+
+/**
+ * Get sessions with optional filters
+ * @param {object} filters - { status, startDate, endDate (on startTime), limit }
+ * @returns {Promise<array>} Sessions array
+ */
+export const getSessions = async (filters = {}) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return [];
+
+    const sessionsRef = collection(db, 'users', uid, 'sessions');
+    let q = query(sessionsRef, orderBy('startTime', 'desc'));
+
+    if (filters.status) {
+        q = query(q, where('status', '==', filters.status));
+    }
+    if (filters.startDate) {
+        q = query(q, where('startTime', '>=', Timestamp.fromDate(filters.startDate)));
+    }
+    if (filters.endDate) {
+        q = query(q, where('startTime', '<=', Timestamp.fromDate(filters.endDate)));
+    }
+    if (filters.limit) {
+        q = query(q, limit(filters.limit));
+    }
+
+    const snapshot = await getDocsOfflineFirst(q);
+    return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        startTime: doc.data().startTime?.toDate() || new Date(),
+        endTime: doc.data().endTime?.toDate() || null,
+        pausedAt: doc.data().pausedAt?.toDate() || null,
+        breaks: toSessionBreaks(doc.data().breaks)
+    }));
+};
+
+/**
+ * Convert stored break timestamps to Dates
+ * @param {array} breaks - Breaks as stored in Firestore
+ * @returns {array} Breaks [{ start, end }] as Dates
+ */
+const toSessionBreaks = (breaks = []) => {
+    return (breaks || []).map(interval => ({
+        start: interval.start?.toDate ? interval.start.toDate() : new Date(interval.start),
+        end: interval.end?.toDate ? interval.end.toDate() : new Date(interval.end)
+    }));
+};
+
+/**
+ * Get active session (if any)
+ * @returns {Promise<object|null>} Active session or null
+ */
+export const getActiveSession = async () => {
+    const sessions = await getSessions({ status: 'active', limit: 1 });
+    return sessions.length > 0 ? sessions[0] : null;
+};
+
+/**
+ * Get session by ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} Session data or null
+ */
+export const getSession = async (sessionId) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return null;
+
+    const docRef = doc(db, 'users', uid, 'sessions', sessionId);
+    const docSnap = await getDoc(docRef);
+
+    if (!docSnap.exists()) return null;
+
+    return {
+        id: docSnap.id,
+        ...docSnap.data(),
+        startTime: docSnap.data().startTime?.toDate() || new Date(),
+        endTime: docSnap.data().endTime?.toDate() || null,
+        pausedAt: docSnap.data().pausedAt?.toDate() || null,
+        breaks: toSessionBreaks(docSnap.data().breaks)
+    };
+};
+
+/**
+ * Cleanup abandoned active sessions (older than 24 hours)
+ * Call this periodically to prevent orphan sessions
+ * @returns {Promise<number>} Number of sessions cleaned
  */
 export const cleanupAbandonedSessions = async () => {
     const uid = auth.currentUser?.uid;
@@ -518,8 +1270,51 @@ export const cleanupAbandonedSessions = async () => {
 // Goals Operations
 // ============================================
 
+// Cap on periods archived at once for goals left behind for a long time
+const MAX_ARCHIVED_PERIODS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days between two local midnights (DST safe)
+ * @param {Date} from - Start day
+ * @param {Date} to - End day
+ * @returns {number} Days
+ */
+const daysBetween = (from, to) => Math.round((getStartOfDay(to) - getStartOfDay(from)) / DAY_MS);
+
+/**
+ * Local midnight a number of days after a date
+ * @param {Date} date - Base date
+ * @param {number} days - Days to add
+ * @returns {Date} Date at local midnight
+ */
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Convert a goal document to a goal object
+ * @param {object} docSnap - Firestore document snapshot
+ * @returns {object} Goal
+ */
+const toGoal = (docSnap) => {
+    const data = docSnap.data();
+    return {
+        id: docSnap.id,
+        ...data,
+        createdAt: data.createdAt?.toDate() || new Date(),
+        lastReset: data.lastReset?.toDate() || new Date(),
+        countFrom: data.countFrom?.toDate() || null,
+        periodAnchor: data.periodAnchor?.toDate() || null,
+        deadline: data.deadline?.toDate() || null
+    };
+};
+
 /**
  * Add new goal
+ * Progress counts transactions from creation on; pass countFrom: null to
+ * include the whole current period (retroactive).
+ * Types: daily, weekly (weekStartDay 0-6, default Monday), monthly,
+ * custom (rolling periods of periodDays from periodAnchor) and deadline (one-off until deadline)
  * @param {object} goal - Goal data
  * @returns {Promise<string>} Goal ID
  */
@@ -527,9 +1322,11 @@ export const addGoal = async (goal) => {
     const uid = auth.currentUser?.uid;
     if (!uid) throw new Error('Usuário não autenticado');
 
+    const { countFrom = new Date(), ...data } = goal;
     const goalData = {
-        ...goal,
+        ...data,
         current: 0,
+        countFrom: countFrom ? Timestamp.fromDate(countFrom) : null,
         createdAt: serverTimestamp(),
         lastReset: serverTimestamp()
     };
@@ -554,11 +1351,7 @@ export const getGoals = async () => {
     const q = query(goalsRef, orderBy('createdAt', 'desc'));
 
     const snapshot = await getDocs(q);
-    return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        lastReset: doc.data().lastReset?.toDate() || new Date()
-    }));
+    return snapshot.docs.map(toGoal);
 };
 
 /**
@@ -575,10 +1368,7 @@ export const getGoal = async (goalId) => {
 
     if (!docSnap.exists()) return null;
 
-    return {
-        id: docSnap.id,
-        ...docSnap.data()
-    };
+    return toGoal(docSnap);
 };
 
 /**
@@ -604,191 +1394,746 @@ export const deleteGoal = async (goalId) => {
     const uid = auth.currentUser?.uid;
     if (!uid) return false;
 
+    // Subcollections are not removed with the document
+    const history = await getDocs(collection(db, 'users', uid, 'goals', goalId, 'history'));
+    await Promise.all(history.docs.map(entry => deleteDoc(entry.ref)));
+
     await deleteDoc(doc(db, 'users', uid, 'goals', goalId));
     return true;
 };
 
 /**
- * Update goals progress with new amount
- * @param {number} amount - Amount to add to goals
- * @param {string} category - Category to filter goals (receita, economia, corridas, km)
+ * Get the goal category for a transaction type
+ * @param {string} transactionType - Transaction type (income, expense, corridas, km)
+ * @returns {string|null} Goal category or null
+ */
+export const getGoalCategoryForTransaction = (transactionType) => {
+    switch (transactionType) {
+        case 'income': return 'receita';
+        case 'corridas': return 'corridas';
+        case 'km': return 'km';
+        default: return null;
+    }
+};
+
+/**
+ * Check if goal needs to be reset (its last reset belongs to a past period)
+ * Deadline goals never reset
+ * @param {object} goal - Goal object
+ * @returns {boolean} Needs reset
  */
-export const updateGoalsProgress = async (amount, category) => {
-    console.log('=== updateGoalsProgress v2 ===');
-    console.log('Parametros recebidos:', { amount, category });
+const checkGoalNeedsReset = (goal) => {
+    if (goal.type === 'deadline') return false;
+
+    const period = getGoalPeriodBounds(goal);
+    if (!period) return false;
+
+    const lastReset = goal.lastReset instanceof Date ? goal.lastReset : goal.lastReset?.toDate() || new Date();
+    return lastReset < period.start;
+};
 
-    // Validate category
-    if (!category || typeof category !== 'string') {
-        console.error('ERRO: categoria invalida:', category);
-        return;
+/**
+ * Goal period that contains a date
+ * @param {object} goal - Goal object
+ * @param {Date} date - Date inside the period
+ * @returns {object|null} { start, end } (end exclusive) or null for goals without period
+ */
+const getGoalPeriodBounds = (goal, date = new Date()) => {
+    switch (goal.type) {
+        case 'daily': {
+            const start = getStartOfDay(date);
+            return { start, end: addDays(start, 1) };
+        }
+        case 'weekly': {
+            const day = getStartOfDay(date);
+            const start = addDays(day, -((day.getDay() - (goal.weekStartDay ?? 1) + 7) % 7));
+            return { start, end: addDays(start, 7) };
+        }
+        case 'monthly': {
+            const start = getStartOfMonth(date);
+            return { start, end: new Date(start.getFullYear(), start.getMonth() + 1, 1) };
+        }
+        case 'custom': {
+            const length = Math.max(1, goal.periodDays || 1);
+            const anchor = getStartOfDay(goal.periodAnchor || goal.createdAt);
+            const start = addDays(anchor, Math.floor(daysBetween(anchor, date) / length) * length);
+            return { start, end: addDays(start, length) };
+        }
+        case 'deadline':
+            if (!goal.deadline) return null;
+            return { start: getStartOfDay(goal.createdAt), end: addDays(getStartOfDay(goal.deadline), 1) };
+        default:
+            return null;
     }
+};
+
+/**
+ * Start of the goal's active period
+ * @param {object} goal - Goal object
+ * @returns {Date|null} Period start or null for goals without period
+ */
+const getGoalPeriodStart = (goal) => {
+    return getGoalPeriodBounds(goal)?.start || null;
+};
 
-    // Validate amount
-    if (typeof amount !== 'number' || amount <= 0 || isNaN(amount)) {
-        console.error('ERRO: valor invalido:', amount);
-        return;
+/**
+ * Periods that closed since the goal's last reset (oldest first)
+ * @param {object} goal - Goal object
+ * @returns {array} [{ start, end }]
+ */
+const getClosedGoalPeriods = (goal) => {
+    if (!checkGoalNeedsReset(goal)) return [];
+
+    const current = getGoalPeriodBounds(goal);
+    const periods = [];
+    let period = getGoalPeriodBounds(goal, goal.lastReset);
+    while (period.start < current.start) {
+        periods.push(period);
+        period = getGoalPeriodBounds(goal, period.end);
     }
 
-    // Normalize category
-    const targetCategory = String(category).toLowerCase().trim();
-    console.log('Categoria alvo (normalizada):', targetCategory);
+    return periods.slice(-MAX_ARCHIVED_PERIODS);
+};
 
-    // Get all goals
-    const goals = await getGoals();
-    console.log('Total de metas:', goals.length);
-    console.log('Metas:', goals.map(g => ({ name: g.name, category: g.category })));
+/**
+ * Value a transaction adds to a goal (0 when it does not count)
+ * lucro is income minus expenses; limite sums expenses of goal.expenseCategory (all when unset).
+ * Savings are money set aside, not a cost, so they never count as expenses here
+ * @param {object} transaction - Transaction
+ * @param {object} goal - Goal ({ category, expenseCategory })
+ * @returns {number} Signed value
+ */
+const getGoalTransactionValue = (transaction, goal) => {
+    const amount = transaction.amount || 0;
+    const isSaving = transaction.type === 'expense' && transaction.subType === 'saving';
+    const isExpense = transaction.type === 'expense' && !isSaving;
+
+    switch (goal.category) {
+        case 'economia':
+            return isSaving ? amount : 0;
+        case 'lucro':
+            if (transaction.type === 'income') return amount;
+            return isExpense ? -amount : 0;
+        case 'limite':
+            return isExpense && (!goal.expenseCategory || transaction.category === goal.expenseCategory) ? amount : 0;
+        default:
+            return getGoalCategoryForTransaction(transaction.type) === goal.category ? amount : 0;
+    }
+};
 
-    // Filter and update only matching goals
-    for (const goal of goals) {
-        const goalCat = String(goal.category || '').toLowerCase().trim();
+/**
+ * Check if a goal is a spending limit (progress must stay below the target)
+ * @param {object} goal - Goal object
+ * @returns {boolean}
+ */
+export const isLimitGoal = (goal) => goal.category === 'limite';
 
-        console.log(`Comparando: meta "${goal.name}" categoria="${goalCat}" vs alvo="${targetCategory}"`);
+// Share of a limit goal used before warning
+export const GOAL_LIMIT_WARNING = 0.8;
 
-        // STRICT comparison - must match exactly
-        if (goalCat !== targetCategory) {
-            console.log(`>>> IGNORANDO "${goal.name}" - categorias diferentes`);
-            continue;
-        }
+/**
+ * Status of a spending limit goal
+ * @param {object} goal - Limit goal with current progress
+ * @returns {string} 'ok', 'warning' (close to the limit) or 'exceeded'
+ */
+export const getGoalLimitStatus = (goal) => {
+    if (goal.current > goal.target) return 'exceeded';
+    if (goal.current >= goal.target * GOAL_LIMIT_WARNING) return 'warning';
+    return 'ok';
+};
 
-        console.log(`>>> ATUALIZANDO "${goal.name}"`);
+/**
+ * Check if a goal was met with a given value (limit goals are met while not exceeded)
+ * @param {object} goal - Goal object
+ * @param {number} value - Achieved value
+ * @returns {boolean}
+ */
+const isGoalHit = (goal, value) => isLimitGoal(goal) ? value <= goal.target : value >= goal.target;
 
-        // Check reset
-        const shouldReset = checkGoalNeedsReset(goal);
-        if (shouldReset) {
-            await resetGoal(goal.id);
-        }
+/**
+ * Date from which a goal counts transactions: the start of its active period,
+ * or the manual reset (countFrom) when it happened inside that period.
+ * Goals without a period count from creation
+ * @param {object} goal - Goal object
+ * @returns {Date} Progress start
+ */
+const getGoalProgressStart = (goal) => {
+    const periodStart = getGoalPeriodStart(goal) || goal.createdAt;
+    return goal.countFrom && goal.countFrom > periodStart ? goal.countFrom : periodStart;
+};
 
-        // Calculate new value
-        const oldValue = shouldReset ? 0 : (goal.current || 0);
-        const newValue = oldValue + amount;
+/**
+ * Earliest progress start among goals (single transactions query for all of them)
+ * @param {array} goals - Goals
+ * @returns {Date} Earliest start
+ */
+const getEarliestGoalProgressStart = (goals) => {
+    return new Date(Math.min(...goals.map(goal => getGoalProgressStart(goal).getTime())));
+};
 
-        console.log(`Calculo: ${oldValue} + ${amount} = ${newValue}`);
+/**
+ * Calculate goal progress from transactions
+ * @param {object} goal - Goal object
+ * @param {array} transactions - Transactions (date as Date), at least since the goal's progress start
+ * @returns {number} Current progress
+ */
+export const calculateGoalProgress = (goal, transactions) => {
+    // Deadline goals stop counting after the deadline
+    return sumGoalTransactions(goal, transactions, getGoalProgressStart(goal), getGoalPeriodBounds(goal)?.end || null);
+};
 
-        // Update in database
-        await updateGoal(goal.id, { current: newValue });
-        console.log(`Meta "${goal.name}" atualizada para ${newValue}`);
+/**
+ * Required daily pace and projected completion of a goal in its active period
+ * Today counts both as elapsed and remaining, so the pace covers what is still missing today.
+ * For limit goals requiredDaily is the budget left per day and projectedDate when the limit is reached
+ * @param {object} goal - Goal with current progress
+ * @param {Date} now - Reference date
+ * @returns {object|null} { daysLeft, requiredDaily, dailyAverage, projectedTotal, projectedDate, onTrack, ended }
+ *                        or null for goals without period
+ */
+export const calculateGoalPace = (goal, now = new Date()) => {
+    const period = getGoalPeriodBounds(goal, now);
+    if (!period) return null;
+
+    const current = goal.current || 0;
+    const remaining = Math.max(0, goal.target - current);
+    const daysLeft = Math.max(0, daysBetween(now, period.end));
+    const daysElapsed = Math.max(1, daysBetween(getGoalProgressStart(goal), now) + 1);
+    const dailyAverage = current / daysElapsed;
+    const projectedTotal = dailyAverage * (daysElapsed + Math.max(0, daysLeft - 1));
+
+    let projectedDate = null;
+    if (remaining === 0) {
+        projectedDate = getStartOfDay(now);
+    } else if (dailyAverage > 0) {
+        projectedDate = addDays(getStartOfDay(now), Math.ceil(remaining / dailyAverage) - 1);
     }
 
-    console.log('=== FIM updateGoalsProgress ===');
+    return {
+        daysLeft,
+        requiredDaily: daysLeft > 0 ? remaining / daysLeft : remaining,
+        dailyAverage,
+        projectedTotal,
+        projectedDate,
+        onTrack: isLimitGoal(goal) ? projectedTotal <= goal.target : remaining === 0 || projectedTotal >= goal.target,
+        ended: daysLeft === 0
+    };
 };
 
 /**
- * Decrement goals progress when transaction is deleted/edited
- * @param {number} amount - Amount to subtract from goals
- * @param {string} category - Category to filter goals (receita, economia, corridas, km)
+ * Daily average a goal would have had over the last days (pace preview for new goals)
+ * @param {object} goal - Goal data ({ category, expenseCategory })
+ * @param {number} days - Days to average, including today
+ * @returns {Promise<number>} Average per day
  */
-export const decrementGoalsProgress = async (amount, category) => {
-    console.log('=== decrementGoalsProgress ===');
-    console.log('Parametros recebidos:', { amount, category });
+export const getGoalDailyAverage = async (goal, days = 30) => {
+    const startDate = addDays(getStartOfDay(), -(days - 1));
+    const transactions = await getTransactions({ startDate });
+    return sumGoalTransactions(goal, transactions, startDate) / days;
+};
 
-    // Validate category
-    if (!category || typeof category !== 'string') {
-        console.error('ERRO: categoria invalida:', category);
-        return;
-    }
+/**
+ * Limit goals close to or above their limit (stored progress)
+ * @returns {Promise<array>} Goals with limitStatus 'warning' or 'exceeded'
+ */
+export const getGoalLimitAlerts = async () => {
+    const goals = await getGoals();
+    return goals
+        .filter(isLimitGoal)
+        .map(goal => ({ ...goal, limitStatus: getGoalLimitStatus(goal) }))
+        .filter(goal => goal.limitStatus !== 'ok');
+};
 
-    // Validate amount
-    if (typeof amount !== 'number' || amount <= 0 || isNaN(amount)) {
-        console.error('ERRO: valor invalido:', amount);
-        return;
-    }
+/**
+ * Sum what the transactions inside a date range add to a goal
+ * @param {object} goal - Goal object
+ * @param {array} transactions - Transactions (date as Date)
+ * @param {Date} start - Range start
+ * @param {Date|null} end - Range end (exclusive, optional)
+ * @returns {number} Total
+ */
+const sumGoalTransactions = (goal, transactions, start, end = null) => {
+    const total = expandTransactionItems(transactions)
+        .filter(t => t.date >= start && (!end || t.date < end))
+        .reduce((sum, t) => sum + getGoalTransactionValue(t, goal), 0);
+
+    // Avoid float noise (0.1 + 0.2) on currency sums
+    return Math.round(total * 100) / 100;
+};
+
+/**
+ * Get all goals with progress calculated from transactions
+ * @returns {Promise<array>} Goals array
+ */
+export const getGoalsWithProgress = async () => {
+    const goals = await getGoals();
+    if (goals.length === 0) return [];
 
-    // Normalize category
-    const targetCategory = String(category).toLowerCase().trim();
-    console.log('Categoria alvo (normalizada):', targetCategory);
+    const transactions = await getTransactions({ startDate: getEarliestGoalProgressStart(goals) });
+    return goals.map(goal => ({ ...goal, current: calculateGoalProgress(goal, transactions) }));
+};
 
-    // Get all goals
+/**
+ * Recalculate goal progress from transactions and repair stored values
+ * Goals whose period ended are rolled over (lastReset) after archiving the closed periods
+ * @returns {Promise<number>} Number of goals updated
+ */
+export const recalculateGoalsProgress = async () => {
     const goals = await getGoals();
-    console.log('Total de metas:', goals.length);
+    if (goals.length === 0) return 0;
+
+    const closedPeriods = new Map(goals.map(goal => [goal.id, getClosedGoalPeriods(goal)]));
+    const startTimes = [...closedPeriods.values()].flat().map(period => period.start.getTime());
+    const startDate = new Date(Math.min(getEarliestGoalProgressStart(goals).getTime(), ...startTimes));
+    const transactions = await getTransactions({ startDate });
 
-    // Filter and update only matching goals
+    let updated = 0;
     for (const goal of goals) {
-        const goalCat = String(goal.category || '').toLowerCase().trim();
+        const current = calculateGoalProgress(goal, transactions);
+        const needsReset = checkGoalNeedsReset(goal);
+        if (current === goal.current && !needsReset) continue;
+
+        const data = { current };
+        if (needsReset) {
+            await archiveGoalPeriods(goal, closedPeriods.get(goal.id), transactions);
+            data.lastReset = Timestamp.fromDate(getGoalPeriodStart(goal));
+        }
+        await updateGoal(goal.id, data);
+        updated++;
+
+        // Only announce goals crossing the target within the same period
+        if (!needsReset && !isLimitGoal(goal) && (goal.current || 0) < goal.target && current >= goal.target) {
+            window.dispatchEvent(new CustomEvent('goalAchieved', { detail: { goal: { ...goal, current } } }));
+        }
+    }
+
+    return updated;
+};
+
+/**
+ * Subscribe to goals with progress calculated from transactions in real-time
+ * Listens to the goals and to the transactions since the earliest progress start
+ * @param {function} callback - Callback with goals array
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToGoalsProgress = (callback) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) {
+        callback([]);
+        return () => {};
+    }
+
+    let goals = [];
+    let transactions = [];
+    let transactionsStart = null;
+    let unsubscribeTransactions = null;
+
+    const emit = () => {
+        callback(goals.map(goal => ({ ...goal, current: calculateGoalProgress(goal, transactions) })));
+    };
 
-        console.log(`Comparando: meta "${goal.name}" categoria="${goalCat}" vs alvo="${targetCategory}"`);
+    const watchTransactions = (startDate) => {
+        if (unsubscribeTransactions) unsubscribeTransactions();
+        transactionsStart = startDate;
+
+        const q = query(
+            collection(db, 'users', uid, 'transactions'),
+            where('date', '>=', Timestamp.fromDate(startDate)),
+            orderBy('date', 'desc')
+        );
+
+        unsubscribeTransactions = onSnapshot(q, (snapshot) => {
+            transactions = snapshot.docs.map(doc => ({
+                ...doc.data(),
+                date: doc.data().date?.toDate() || new Date()
+            }));
+            emit();
+        }, (error) => {
+            console.error('Erro ao ouvir transações das metas:', error);
+            transactions = [];
+            emit();
+        });
+    };
 
-        // STRICT comparison - must match exactly
-        if (goalCat !== targetCategory) {
-            console.log(`>>> IGNORANDO "${goal.name}" - categorias diferentes`);
-            continue;
+    const goalsQuery = query(collection(db, 'users', uid, 'goals'), orderBy('createdAt', 'desc'));
+    const unsubscribeGoals = onSnapshot(goalsQuery, (snapshot) => {
+        goals = snapshot.docs.map(toGoal);
+
+        if (goals.length === 0) {
+            emit();
+            return;
         }
 
-        console.log(`>>> DECREMENTANDO "${goal.name}"`);
+        const startDate = getEarliestGoalProgressStart(goals);
+        if (transactionsStart?.getTime() !== startDate.getTime()) {
+            watchTransactions(startDate);
+        } else {
+            emit();
+        }
+    }, (error) => {
+        console.error('Erro ao ouvir metas:', error);
+        callback([]);
+    });
 
-        // Calculate new value (minimum 0)
-        const oldValue = goal.current || 0;
-        const newValue = Math.max(0, oldValue - amount);
+    return () => {
+        unsubscribeGoals();
+        if (unsubscribeTransactions) unsubscribeTransactions();
+    };
+};
 
-        console.log(`Calculo: ${oldValue} - ${amount} = ${newValue}`);
+/**
+ * Reset goal progress manually
+ * Archives the progress so far and counts again from now until the period ends
+ * @param {string} goalId - Goal ID
+ */
+export const resetGoal = async (goalId) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return;
 
-        // Update in database
-        await updateGoal(goal.id, { current: newValue });
-        console.log(`Meta "${goal.name}" atualizada para ${newValue}`);
+    const goal = await getGoal(goalId);
+    if (goal) {
+        const start = getGoalProgressStart(goal);
+        const transactions = await getTransactions({ startDate: start });
+        await addDoc(collection(db, 'users', uid, 'goals', goalId, 'history'), {
+            ...toGoalHistoryEntry(goal, { start, end: new Date() }, calculateGoalProgress(goal, transactions)),
+            manual: true
+        });
     }
 
-    console.log('=== FIM decrementGoalsProgress ===');
+    await updateDoc(doc(db, 'users', uid, 'goals', goalId), {
+        current: 0,
+        countFrom: serverTimestamp(),
+        lastReset: serverTimestamp()
+    });
 };
 
 /**
- * Get the goal category for a transaction type
- * @param {string} transactionType - Transaction type (income, expense, corridas, km)
- * @returns {string|null} Goal category or null
+ * Roll over goals whose period ended and repair stored progress
+ * @returns {Promise<number>} Number of goals updated
  */
-export const getGoalCategoryForTransaction = (transactionType) => {
-    switch (transactionType) {
-        case 'income': return 'receita';
-        case 'corridas': return 'corridas';
-        case 'km': return 'km';
-        default: return null;
-    }
+export const checkAndResetGoals = async () => {
+    return recalculateGoalsProgress();
 };
 
+// Goal history: one entry per closed period under users/{uid}/goals/{goalId}/history
+
 /**
- * Check if goal needs to be reset based on type
+ * History entry of a goal period
  * @param {object} goal - Goal object
- * @returns {boolean} Needs reset
+ * @param {object} period - { start, end }
+ * @param {number} achieved - Value achieved in the period
+ * @returns {object} History entry data
  */
-const checkGoalNeedsReset = (goal) => {
-    const lastReset = goal.lastReset instanceof Date ? goal.lastReset : goal.lastReset?.toDate() || new Date();
-    const now = new Date();
+const toGoalHistoryEntry = (goal, period, achieved) => ({
+    type: goal.type,
+    category: goal.category,
+    target: goal.target,
+    achieved,
+    hit: isGoalHit(goal, achieved),
+    periodStart: Timestamp.fromDate(period.start),
+    periodEnd: Timestamp.fromDate(period.end),
+    manual: false,
+    archivedAt: serverTimestamp()
+});
 
-    switch (goal.type) {
-        case 'daily':
-            return getStartOfDay(lastReset).getTime() < getStartOfDay(now).getTime();
-        case 'weekly':
-            return getStartOfWeek(lastReset).getTime() < getStartOfWeek(now).getTime();
-        case 'monthly':
-            return getStartOfMonth(lastReset).getTime() < getStartOfMonth(now).getTime();
-        default:
-            return false;
+/**
+ * Archive closed periods of a goal
+ * Entries use the period start as ID, so archiving the same period twice overwrites it
+ * @param {object} goal - Goal object
+ * @param {array} periods - Closed periods [{ start, end }]
+ * @param {array} transactions - Transactions covering the periods
+ */
+const archiveGoalPeriods = async (goal, periods, transactions) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    for (const period of periods) {
+        const start = goal.countFrom && goal.countFrom > period.start ? goal.countFrom : period.start;
+        const achieved = start < period.end ? sumGoalTransactions(goal, transactions, start, period.end) : 0;
+        const entryId = `${period.start.getFullYear()}-${String(period.start.getMonth() + 1).padStart(2, '0')}-${String(period.start.getDate()).padStart(2, '0')}`;
+
+        await setDoc(
+            doc(db, 'users', uid, 'goals', goal.id, 'history', entryId),
+            toGoalHistoryEntry(goal, period, achieved)
+        );
     }
 };
 
 /**
- * Reset goal current value
+ * Get goal history (newest first)
  * @param {string} goalId - Goal ID
+ * @param {number|null} limitCount - Max entries (null for all)
+ * @returns {Promise<array>} History entries
  */
-export const resetGoal = async (goalId) => {
+export const getGoalHistory = async (goalId, limitCount = 30) => {
     const uid = auth.currentUser?.uid;
-    if (!uid) return;
+    if (!uid) return [];
 
-    await updateDoc(doc(db, 'users', uid, 'goals', goalId), {
-        current: 0,
-        lastReset: serverTimestamp()
+    let q = query(
+        collection(db, 'users', uid, 'goals', goalId, 'history'),
+        orderBy('periodStart', 'desc')
+    );
+    if (limitCount) {
+        q = query(q, limit(limitCount));
+    }
+
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map(docSnap => ({
+        id: docSnap.id,
+        ...docSnap.data(),
+        periodStart: docSnap.data().periodStart?.toDate() || new Date(),
+        periodEnd: docSnap.data().periodEnd?.toDate() || new Date()
+    }));
+};
+
+/**
+ * Calculate streaks and hit rate from goal history
+ * Manual resets are kept in the history but do not count as periods
+ * @param {array} history - History entries (newest first)
+ * @returns {object} { periods, hits, hitRate, streak, bestStreak }
+ */
+export const calculateGoalStats = (history = []) => {
+    const periods = history.filter(entry => !entry.manual);
+    const hits = periods.filter(entry => entry.hit).length;
+
+    let streak = 0;
+    while (streak < periods.length && periods[streak].hit) {
+        streak++;
+    }
+
+    let bestStreak = 0;
+    let run = 0;
+    periods.forEach(entry => {
+        run = entry.hit ? run + 1 : 0;
+        bestStreak = Math.max(bestStreak, run);
     });
+
+    return {
+        periods: periods.length,
+        hits,
+        hitRate: periods.length > 0 ? Math.round((hits / periods.length) * 100) : 0,
+        streak,
+        bestStreak
+    };
 };
 
+// ============================================
+// Budget Operations
+// ============================================
+
 /**
- * Check and reset all goals that need it
+ * Convert a budget document to a budget object
+ * @param {object} docSnap - Firestore document snapshot
+ * @returns {object} Budget
  */
-export const checkAndResetGoals = async () => {
-    const goals = await getGoals();
+const toBudget = (docSnap) => {
+    const data = docSnap.data();
+    return {
+        id: docSnap.id,
+        ...data,
+        planned: data.planned || {},
+        rollover: data.rollover === true
+    };
+};
 
-    for (const goal of goals) {
-        if (checkGoalNeedsReset(goal)) {
-            await resetGoal(goal.id);
-        }
+/**
+ * Get the budget of a month
+ * @param {string} monthKey - Month in YYYY-MM format
+ * @returns {Promise<object|null>} Budget { month, planned, rollover } or null
+ */
+export const getBudget = async (monthKey) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return null;
+
+    const docSnap = await getDoc(doc(db, 'users', uid, 'budgets', monthKey));
+    return docSnap.exists() ? toBudget(docSnap) : null;
+};
+
+/**
+ * Get the latest budget before a month
+ * @param {string} monthKey - Month in YYYY-MM format
+ * @returns {Promise<object|null>} Budget or null
+ */
+export const getPreviousBudget = async (monthKey) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return null;
+
+    const q = query(
+        collection(db, 'users', uid, 'budgets'),
+        where('month', '<', monthKey),
+        orderBy('month', 'desc'),
+        limit(1)
+    );
+
+    const snapshot = await getDocs(q);
+    return snapshot.empty ? null : toBudget(snapshot.docs[0]);
+};
+
+/**
+ * Create or update the budget of a month
+ * @param {string} monthKey - Month in YYYY-MM format
+ * @param {object} data - { planned, rollover } (partial; carried amounts are computed on read)
+ * @returns {Promise<boolean>} Success
+ */
+export const saveBudget = async (monthKey, data) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    await setDoc(doc(db, 'users', uid, 'budgets', monthKey), {
+        ...data,
+        month: monthKey,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return true;
+};
+
+/**
+ * Move the envelope of a category into another one in every budget (used when merging categories)
+ * Amounts of both envelopes are added up
+ * @param {string} fromCategory - Current category id
+ * @param {string} toCategory - New category id
+ * @param {function} onProgress - (done, total) while writing (optional)
+ * @returns {Promise<number>} Number of budgets updated
+ */
+export const retagBudgets = async (fromCategory, toCategory, onProgress = null) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    const snapshot = await getDocs(collection(db, 'users', uid, 'budgets'));
+    const addAmounts = (a, b) => Math.round(((a || 0) + (b || 0)) * 100) / 100;
+
+    const updates = [];
+    for (const docSnap of snapshot.docs) {
+        const budget = toBudget(docSnap);
+        const planned = moveCategoryKey(budget.planned, fromCategory, toCategory, addAmounts);
+        if (!planned) continue;
+
+        // An update replaces the map as a whole, so the old key goes away
+        updates.push({ ref: docSnap.ref, changes: { planned, updatedAt: serverTimestamp() } });
     }
+
+    return commitUpdatesInBatches(updates, onProgress);
+};
+
+// ============================================
+// Recurring Transactions
+// ============================================
+
+/**
+ * Convert recurring template document to plain object
+ * @param {object} docSnap - Firestore document snapshot
+ * @returns {object} Template with Dates
+ */
+const toRecurringTemplate = (docSnap) => ({
+    id: docSnap.id,
+    ...docSnap.data(),
+    startDate: docSnap.data().startDate?.toDate() || new Date(),
+    endDate: docSnap.data().endDate?.toDate() || null,
+    overrides: docSnap.data().overrides || {}
+});
+
+/**
+ * Add recurring transaction template
+ * @param {object} template - { type, subType, amount, category, description, frequency, intervalDays, startDate, endDate }
+ * @returns {Promise<string>} Template ID
+ */
+export const addRecurringTemplate = async (template) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    const templateData = {
+        ...template,
+        startDate: Timestamp.fromDate(new Date(template.startDate)),
+        endDate: template.endDate ? Timestamp.fromDate(new Date(template.endDate)) : null,
+        lastMaterialized: null,
+        overrides: {},
+        active: true,
+        createdAt: serverTimestamp()
+    };
+
+    const docRef = await addDoc(
+        collection(db, 'users', uid, 'recurring'),
+        templateData
+    );
+
+    return docRef.id;
+};
+
+/**
+ * Get all recurring templates
+ * @returns {Promise<array>} Templates array
+ */
+export const getRecurringTemplates = async () => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return [];
+
+    const recurringRef = collection(db, 'users', uid, 'recurring');
+    const q = query(recurringRef, orderBy('createdAt', 'desc'));
+
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map(toRecurringTemplate);
+};
+
+/**
+ * Update recurring template
+ * @param {string} templateId - Template ID
+ * @param {object} data - Data to update
+ * @returns {Promise<boolean>} Success
+ */
+export const updateRecurringTemplate = async (templateId, data) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return false;
+
+    const updateData = { ...data };
+    if (data.startDate) {
+        updateData.startDate = Timestamp.fromDate(new Date(data.startDate));
+    }
+    if (data.endDate !== undefined) {
+        updateData.endDate = data.endDate ? Timestamp.fromDate(new Date(data.endDate)) : null;
+    }
+
+    await updateDoc(doc(db, 'users', uid, 'recurring', templateId), updateData);
+    return true;
+};
+
+/**
+ * Set or clear the override of a single occurrence
+ * @param {string} templateId - Template ID
+ * @param {string} occurrenceKey - Occurrence date (YYYY-MM-DD)
+ * @param {object|null} override - { skip: true } or { amount, description }; null clears it
+ * @returns {Promise<boolean>} Success
+ */
+export const setRecurringOverride = async (templateId, occurrenceKey, override) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return false;
+
+    const templateRef = doc(db, 'users', uid, 'recurring', templateId);
+    const templateSnap = await getDoc(templateRef);
+    if (!templateSnap.exists()) return false;
+
+    const overrides = { ...(templateSnap.data().overrides || {}) };
+    if (override) {
+        overrides[occurrenceKey] = override;
+    } else {
+        delete overrides[occurrenceKey];
+    }
+
+    await updateDoc(templateRef, { overrides });
+    return true;
+};
+
+/**
+ * Delete recurring template (transactions already created are kept)
+ * @param {string} templateId - Template ID
+ * @returns {Promise<boolean>} Success
+ */
+export const deleteRecurringTemplate = async (templateId) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return false;
+
+    await deleteDoc(doc(db, 'users', uid, 'recurring', templateId));
+    return true;
 };
 
 // ============================================
@@ -957,6 +2302,11 @@ export const exportUserData = async () => {
         getGoals()
     ]);
 
+    // Closed periods live in a subcollection, so they are added to each goal
+    for (const goal of goals) {
+        goal.history = await getGoalHistory(goal.id, null);
+    }
+
     return {
         exportDate: new Date().toISOString(),
         profile,
@@ -968,35 +2318,238 @@ export const exportUserData = async () => {
 };
 
 /**
- * Import user data from JSON
- * @param {object} data - Data to import
- * @returns {Promise<boolean>} Success
+ * Convert a backup date (Date, ISO string, Timestamp or {seconds}) to Date
+ * @param {any} value - Date as found in a JSON backup
+ * @returns {Date|null} Date or null
  */
-export const importUserData = async (data) => {
-    const uid = auth.currentUser?.uid;
-    if (!uid) throw new Error('Usuário não autenticado');
+const fromBackupDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
 
-    // Import transactions
-    if (data.transactions && Array.isArray(data.transactions)) {
-        for (const transaction of data.transactions) {
-            await addTransaction({
-                ...transaction,
-                date: transaction.date || new Date()
-            });
-        }
+/**
+ * Value used to compare a field of a stored record with the backup
+ * @param {any} value - Field value
+ * @returns {any} Comparable value
+ */
+const toComparable = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'object' || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value))) {
+        const date = fromBackupDate(value);
+        if (date) return date.getTime();
     }
+    return value;
+};
+
+/**
+ * Check if a stored record and a backup record have the same content
+ * @param {object} stored - Record from Firestore
+ * @param {object} incoming - Record from the backup
+ * @param {array} fields - Fields to compare
+ * @returns {boolean}
+ */
+const isSameRecord = (stored, incoming, fields) => {
+    return fields.every(field => toComparable(stored[field]) === toComparable(incoming[field]));
+};
+
+// Fields that identify the content of each collection in a backup
+const IMPORT_COMPARE_FIELDS = {
+    transactions: ['type', 'subType', 'amount', 'category', 'description', 'date'],
+    sessions: ['status', 'startTime', 'endTime', 'duration', 'earnings', 'rides', 'expenses'],
+    goals: ['name', 'category', 'type', 'target']
+};
+
+/**
+ * Prepare a backup transaction for Firestore (addTransaction converts the date)
+ * @param {object} transaction - Backup transaction
+ * @returns {object} Transaction data
+ */
+const toImportedTransaction = ({ id, userId, createdAt, searchTokens, ...transaction }) => ({
+    ...transaction,
+    date: fromBackupDate(transaction.date) || new Date()
+});
+
+/**
+ * Prepare a backup session for Firestore
+ * @param {object} session - Backup session
+ * @returns {object} Session data
+ */
+const toImportedSession = ({ id, ...session }) => {
+    const toTimestamp = (value) => {
+        const date = fromBackupDate(value);
+        return date ? Timestamp.fromDate(date) : null;
+    };
+
+    return {
+        ...session,
+        startTime: toTimestamp(session.startTime) || Timestamp.now(),
+        endTime: toTimestamp(session.endTime),
+        pausedAt: toTimestamp(session.pausedAt),
+        breaks: (session.breaks || []).map(interval => ({
+            start: toTimestamp(interval.start),
+            end: toTimestamp(interval.end)
+        })),
+        createdAt: toTimestamp(session.createdAt) || serverTimestamp()
+    };
+};
+
+/**
+ * Prepare a backup goal for Firestore (progress is recalculated after import)
+ * @param {object} goal - Backup goal
+ * @returns {object} Goal data
+ */
+const toImportedGoal = ({ id, history, ...goal }) => ({
+    ...goal,
+    current: goal.current || 0,
+    createdAt: fromBackupDate(goal.createdAt) ? Timestamp.fromDate(fromBackupDate(goal.createdAt)) : serverTimestamp(),
+    lastReset: fromBackupDate(goal.lastReset) ? Timestamp.fromDate(fromBackupDate(goal.lastReset)) : serverTimestamp(),
+    countFrom: fromBackupDate(goal.countFrom) ? Timestamp.fromDate(fromBackupDate(goal.countFrom)) : null
+});
+
+/**
+ * Prepare a backup goal history entry for Firestore
+ * @param {object} entry - Backup history entry
+ * @returns {object} History entry data
+ */
+const toImportedGoalHistoryEntry = ({ id, ...entry }) => {
+    const toTimestamp = (value) => {
+        const date = fromBackupDate(value);
+        return date ? Timestamp.fromDate(date) : null;
+    };
+
+    return {
+        ...entry,
+        periodStart: toTimestamp(entry.periodStart) || Timestamp.now(),
+        periodEnd: toTimestamp(entry.periodEnd) || Timestamp.now(),
+        archivedAt: toTimestamp(entry.archivedAt) || serverTimestamp()
+    };
+};
 
-    // Import goals
-    if (data.goals && Array.isArray(data.goals)) {
-        for (const goal of data.goals) {
-            await addGoal(goal);
+/**
+ * Import one collection of a backup, keeping the original IDs
+ * @param {array} records - Backup records
+ * @param {array} existing - Records already stored
+ * @param {array} fields - Fields compared to detect conflicts
+ * @param {function} write - (record, id) => Promise, writes with a fixed ID (or a new one when id is null),
+ *   resolving to the new ID or document reference when one was created
+ * @param {string} onConflict - 'skip' or 'overwrite'
+ * @returns {Promise<object>} { created, skipped, conflicts, overwritten, failed }
+ */
+const importCollection = async (records, existing, fields, write, onConflict) => {
+    const report = { created: 0, skipped: 0, conflicts: 0, overwritten: 0, failed: 0 };
+    const known = [...existing];
+    const existingById = new Map(known.map(record => [record.id, record]));
+
+    // Written records count as stored, so a repeated record in the backup is not created twice
+    const remember = (record, id) => {
+        const written = { ...record, id };
+        const index = known.findIndex(candidate => candidate.id === id);
+        if (index >= 0) known[index] = written;
+        else known.push(written);
+        existingById.set(id, written);
+    };
+
+    for (const record of records) {
+        try {
+            const stored = record.id ? existingById.get(record.id) : known.find(candidate => isSameRecord(candidate, record, fields));
+
+            if (!stored) {
+                const result = await write(record, record.id || null);
+                remember(record, record.id || result?.id || result);
+                report.created++;
+            } else if (isSameRecord(stored, record, fields)) {
+                report.skipped++;
+            } else if (onConflict === 'overwrite') {
+                await write(record, stored.id);
+                remember(record, stored.id);
+                report.overwritten++;
+            } else {
+                report.conflicts++;
+            }
+        } catch (error) {
+            console.error('Erro ao importar registro:', record.id, error);
+            report.failed++;
         }
     }
 
+    return report;
+};
+
+/**
+ * Import user data from a JSON backup (safe to run more than once)
+ * Records keep their original IDs: missing ones are created, identical ones
+ * skipped, and ones that changed since the backup are reported as conflicts
+ * (or replaced when onConflict is 'overwrite'). Goals bring their history
+ * along, and their progress is then recalculated from the transactions
+ * @param {object} data - Backup from exportUserData
+ * @param {object} options - { onConflict: 'skip' | 'overwrite' }
+ * @returns {Promise<object>} Report per collection { transactions, sessions, goals } plus settings
+ */
+export const importUserData = async (data, options = {}) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Usuário não autenticado');
+
+    const onConflict = options.onConflict || 'skip';
+    const report = { settings: false };
+
+    const [transactions, sessions, goals] = await Promise.all([
+        getTransactions(),
+        getSessions(),
+        getGoals()
+    ]);
+
+    report.transactions = await importCollection(
+        Array.isArray(data.transactions) ? data.transactions : [],
+        transactions,
+        IMPORT_COMPARE_FIELDS.transactions,
+        (transaction, id) => addTransaction(toImportedTransaction(transaction), id),
+        onConflict
+    );
+
+    report.sessions = await importCollection(
+        Array.isArray(data.sessions) ? data.sessions : [],
+        sessions,
+        IMPORT_COMPARE_FIELDS.sessions,
+        (session, id) => id
+            ? setDoc(doc(db, 'users', uid, 'sessions', id), toImportedSession(session))
+            : addDoc(collection(db, 'users', uid, 'sessions'), toImportedSession(session)),
+        onConflict
+    );
+
+    // History entries keep their IDs (the period start), so restoring twice overwrites them
+    const writeGoal = async (goal, id) => {
+        const goalRef = id
+            ? doc(db, 'users', uid, 'goals', id)
+            : doc(collection(db, 'users', uid, 'goals'));
+        await setDoc(goalRef, toImportedGoal(goal));
+
+        for (const entry of Array.isArray(goal.history) ? goal.history : []) {
+            const historyRef = collection(db, 'users', uid, 'goals', goalRef.id, 'history');
+            await setDoc(entry.id ? doc(historyRef, entry.id) : doc(historyRef), toImportedGoalHistoryEntry(entry));
+        }
+
+        return goalRef.id;
+    };
+
+    report.goals = await importCollection(
+        Array.isArray(data.goals) ? data.goals : [],
+        goals,
+        IMPORT_COMPARE_FIELDS.goals,
+        writeGoal,
+        onConflict
+    );
+
     // Import settings
     if (data.settings) {
         await updateUserSettings(data.settings);
+        report.settings = true;
     }
 
-    return true;
+    report.goalsRecalculated = await recalculateGoalsProgress();
+
+    return report;
 };
@@ -0,0 +1,152 @@
+// Earnings Module for GPS Financeiro
+// Gross fare, platform fee, tips and bonuses of income entries (take rate and tip share reports)
+
+import { getTransactions } from './db.js';
+
+// Fields of an earnings breakdown, in the order they are shown
+export const BREAKDOWN_FIELDS = ['grossFare', 'platformFee', 'tips', 'bonus'];
+
+// ============================================
+// Breakdown
+// ============================================
+
+/**
+ * Build the breakdown of an income entry from what was received
+ * The amount stays what reached the driver: gross fare - platform fee + tips + bonus,
+ * so the gross fare is derived from the other fields
+ * @param {number} amount - Amount received
+ * @param {object} parts - { platformFee, tips, bonus } (all optional)
+ * @returns {object|null} { grossFare, platformFee, tips, bonus } or null when nothing was informed
+ * @throws {Error} When tips and bonuses are more than the amount received plus the fee
+ */
+export const buildEarningsBreakdown = (amount, parts = {}) => {
+    const round = (value) => Math.round((value || 0) * 100) / 100;
+    const platformFee = round(parts.platformFee);
+    const tips = round(parts.tips);
+    const bonus = round(parts.bonus);
+
+    if (!platformFee && !tips && !bonus) return null;
+
+    const grossFare = round(amount + platformFee - tips - bonus);
+    if (grossFare < 0) {
+        throw new Error('Gorjetas e promoções passam do valor recebido');
+    }
+
+    return { grossFare, platformFee, tips, bonus };
+};
+
+/**
+ * Share of the gross fare kept by the platform
+ * @param {number} grossFare - Fare paid by the passenger
+ * @param {number} platformFee - Platform commission
+ * @returns {number} Ratio (0 when there is no fare)
+ */
+export const calculateTakeRate = (grossFare, platformFee) => {
+    return grossFare > 0 ? platformFee / grossFare : 0;
+};
+
+// ============================================
+// Reports
+// ============================================
+
+/**
+ * Fees, tips and bonuses per platform
+ * Only income entries with a breakdown count toward the take rate
+ * @param {array} transactions - Income transactions
+ * @returns {array} [{ platform, count, grossFare, platformFee, tips, bonus, received, takeRate }], highest take rate first
+ */
+export const buildTakeRateByPlatform = (transactions) => {
+    const totals = {};
+
+    transactions.forEach(t => {
+        if (t.type !== 'income' || !t.breakdown) return;
+
+        if (!totals[t.category]) {
+            totals[t.category] = { platform: t.category, count: 0, grossFare: 0, platformFee: 0, tips: 0, bonus: 0, received: 0 };
+        }
+        const total = totals[t.category];
+        total.count++;
+        BREAKDOWN_FIELDS.forEach(field => {
+            total[field] += t.breakdown[field] || 0;
+        });
+        total.received += t.amount || 0;
+    });
+
+    return Object.values(totals)
+        .map(total => ({ ...total, takeRate: calculateTakeRate(total.grossFare, total.platformFee) }))
+        .sort((a, b) => b.takeRate - a.takeRate);
+};
+
+/**
+ * Tips and bonuses as a share of the income of each month
+ * @param {array} transactions - Income transactions
+ * @param {Date} startDate - First month
+ * @param {Date} endDate - Last month
+ * @returns {array} [{ month (Date), income, tips, bonus, tipShare, bonusShare }]
+ */
+export const buildTipShareByMonth = (transactions, startDate, endDate) => {
+    const months = [];
+    const cursor = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+    while (cursor <= endDate) {
+        months.push({ month: new Date(cursor), income: 0, tips: 0, bonus: 0 });
+        cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    const first = months[0]?.month;
+    transactions.forEach(t => {
+        if (t.type !== 'income' || !first) return;
+        const index = (t.date.getFullYear() - first.getFullYear()) * 12 + t.date.getMonth() - first.getMonth();
+        const month = months[index];
+        if (!month) return;
+
+        month.income += t.amount || 0;
+        month.tips += t.breakdown?.tips || 0;
+        month.bonus += t.breakdown?.bonus || 0;
+    });
+
+    return months.map(month => ({
+        ...month,
+        tipShare: month.income > 0 ? month.tips / month.income : 0,
+        bonusShare: month.income > 0 ? month.bonus / month.income : 0
+    }));
+};
+
+/**
+ * Load the take rate and tip share report of the last months
+ * @param {number} monthCount - Months to include, current one included (default 6)
+ * @returns {Promise<object>} {
+ *   startDate, endDate, platforms (see buildTakeRateByPlatform), months (see buildTipShareByMonth),
+ *   totals: { income, grossFare, platformFee, tips, bonus, takeRate, tipShare }, detailedCount
+ * }
+ */
+export const getEarningsReport = async (monthCount = 6) => {
+    const now = new Date();
+    const startDate = new Date(now.getFullYear(), now.getMonth() - (monthCount - 1), 1);
+    const transactions = await getTransactions({ type: 'income', startDate, endDate: now });
+
+    const platforms = buildTakeRateByPlatform(transactions);
+    const months = buildTipShareByMonth(transactions, startDate, now);
+
+    const totals = { income: 0, grossFare: 0, platformFee: 0, tips: 0, bonus: 0 };
+    months.forEach(month => {
+        totals.income += month.income;
+    });
+    platforms.forEach(platform => {
+        BREAKDOWN_FIELDS.forEach(field => {
+            totals[field] += platform[field];
+        });
+    });
+
+    return {
+        startDate,
+        endDate: now,
+        platforms,
+        months,
+        totals: {
+            ...totals,
+            takeRate: calculateTakeRate(totals.grossFare, totals.platformFee),
+            tipShare: totals.income > 0 ? totals.tips / totals.income : 0
+        },
+        detailedCount: platforms.reduce((sum, platform) => sum + platform.count, 0)
+    };
+};
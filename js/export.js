@@ -0,0 +1,492 @@
+// Export Module for GPS Financeiro
+// CSV (Brazilian spreadsheet format) and OFX files for accountants and banks
+
+import { getTransactions, getSessions, expandTransactionItems } from './db.js';
+import { getCategories, getCategoryLabels } from './categories.js';
+import { getTaxReport, MONTH_LABELS } from './tax-report.js';
+
+// Default labels, also used for activity records and ids no longer in the category registry
+export const CATEGORY_LABELS = {
+    uber: 'Uber',
+    '99': '99',
+    indrive: 'Indrive',
+    particular: 'Particular',
+    loja_movimento: 'Loja em Movimento',
+    outros_receita: 'Outros (receita)',
+    combustivel: 'Combustível',
+    manutencao: 'Manutenção',
+    alimentacao: 'Alimentação',
+    lavagem: 'Lavagem',
+    estacionamento: 'Estacionamento',
+    outros_despesa: 'Outros (despesa)',
+    reserva: 'Reserva',
+    investimento: 'Investimento',
+    manutencao_futura: 'Manutenção futura',
+    projeto_pessoal: 'Projeto pessoal',
+    outros_economia: 'Outros (economia)',
+    corridas: 'Corridas',
+    km: 'Quilometragem'
+};
+
+export const TYPE_LABELS = {
+    income: 'Receita',
+    expense: 'Despesa',
+    saving: 'Guardar',
+    corridas: 'Corridas',
+    km: 'Km'
+};
+
+/**
+ * Labels used in exported files (user's category names over the defaults)
+ * @returns {Promise<object>} { [category]: label }
+ */
+export const getExportCategoryLabels = async () => {
+    return { ...CATEGORY_LABELS, ...getCategoryLabels(await getCategories()) };
+};
+
+const CSV_SEPARATOR = ';';
+
+// ============================================
+// Formatting Helpers
+// ============================================
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format date as dd/mm/yyyy
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+const formatCsvDate = (date) => {
+    return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+};
+
+/**
+ * Format time as hh:mm
+ * @param {Date} date - Date
+ * @returns {string} Formatted time
+ */
+const formatCsvTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * Format number with comma decimals and no thousand separator (spreadsheet friendly)
+ * @param {number} value - Number
+ * @param {number} digits - Decimal places
+ * @returns {string} Formatted number
+ */
+const formatCsvNumber = (value, digits = 2) => {
+    return (Number(value) || 0).toFixed(digits).replace('.', ',');
+};
+
+/**
+ * Quote a CSV field when it contains the separator, quotes or line breaks
+ * @param {any} value - Field value
+ * @returns {string} Safe field
+ */
+const escapeCsvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (/[;"\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * Build CSV text from header and rows
+ * Starts with a BOM so Excel opens accents correctly
+ * @param {array} header - Column names
+ * @param {array} rows - Array of field arrays
+ * @returns {string} CSV content
+ */
+const buildCsv = (header, rows) => {
+    const lines = [header, ...rows].map(row => row.map(escapeCsvField).join(CSV_SEPARATOR));
+    return '\uFEFF' + lines.join('\r\n');
+};
+
+/**
+ * Export type of a transaction (savings are expenses with subType 'saving')
+ * @param {object} transaction - Transaction
+ * @returns {string} income, expense, saving, corridas or km
+ */
+const getExportType = (transaction) => {
+    return transaction.subType === 'saving' ? 'saving' : transaction.type;
+};
+
+const getFileDate = () => new Date().toISOString().split('T')[0];
+
+// ============================================
+// Transactions
+// ============================================
+
+/**
+ * Get transactions for export
+ * @param {object} filters - { startDate, endDate, type, category }
+ * (type accepts 'saving' for money set aside)
+ * @returns {Promise<array>} Transactions sorted by date (oldest first)
+ */
+export const getTransactionsForExport = async (filters = {}) => {
+    const queryType = filters.type === 'saving' ? 'expense' : filters.type;
+
+    const transactions = await getTransactions({
+        type: queryType || undefined,
+        category: filters.category || undefined,
+        startDate: filters.startDate,
+        endDate: filters.endDate
+    });
+
+    return transactions
+        .filter(t => !filters.type || getExportType(t) === filters.type)
+        .map(t => ({ ...t, date: new Date(t.date) }))
+        .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Build transactions CSV (semicolon, comma decimals, dd/mm/yyyy)
+ * Expenses and savings are negative so the column sums to the balance
+ * Split transactions get one row per line item
+ * @param {array} transactions - Transactions
+ * @param {object} labels - Category labels (optional)
+ * @returns {string} CSV content
+ */
+export const buildTransactionsCsv = (transactions, labels = CATEGORY_LABELS) => {
+    const header = ['Data', 'Hora', 'Tipo', 'Categoria', 'Descrição', 'Valor', 'Unidade'];
+
+    const rows = expandTransactionItems(transactions).map(t => {
+        const type = getExportType(t);
+        const isMoney = t.type === 'income' || t.type === 'expense';
+        const signedAmount = t.type === 'expense' ? -t.amount : t.amount;
+        const unit = isMoney ? 'R$' : (t.type === 'km' ? 'km' : 'corridas');
+
+        return [
+            formatCsvDate(t.date),
+            formatCsvTime(t.date),
+            TYPE_LABELS[type] || type,
+            labels[t.category] || t.category || '',
+            t.description || '',
+            formatCsvNumber(signedAmount, isMoney ? 2 : (t.type === 'km' ? 1 : 0)),
+            unit
+        ];
+    });
+
+    return buildCsv(header, rows);
+};
+
+/**
+ * Format date as OFX datetime (YYYYMMDDHHMMSS)
+ * @param {Date} date - Date
+ * @returns {string} OFX date
+ */
+const formatOfxDate = (date) => {
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+/**
+ * Remove characters that break OFX SGML
+ * @param {string} text - Free text
+ * @returns {string} Safe text
+ */
+const escapeOfxText = (text) => {
+    return String(text || '').replace(/[<>&]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 255);
+};
+
+// Windows-1252 characters in the 0x80-0x9F range (the rest of Latin-1 maps 1:1)
+const WINDOWS_1252_EXTRA = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/**
+ * Encode text as Windows-1252 bytes (the charset OFX 1.x readers expect);
+ * characters it cannot represent become '?'
+ * @param {string} text - Text
+ * @returns {Uint8Array} Encoded bytes
+ */
+const encodeWindows1252 = (text) => {
+    const chars = [...text];
+    const bytes = new Uint8Array(chars.length);
+    chars.forEach((char, index) => {
+        const code = char.codePointAt(0);
+        if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) bytes[index] = code;
+        else bytes[index] = WINDOWS_1252_EXTRA[char] ?? 0x3F;
+    });
+    return bytes;
+};
+
+/**
+ * Build OFX 1.02 statement (money transactions only; corridas/km are skipped)
+ * @param {array} transactions - Transactions sorted by date
+ * @param {object} period - { startDate, endDate } (optional, defaults to first/last transaction)
+ * @param {object} labels - Category labels (optional)
+ * @returns {string} OFX content
+ */
+export const buildTransactionsOfx = (transactions, period = {}, labels = CATEGORY_LABELS) => {
+    const moneyTransactions = transactions.filter(t => t.type === 'income' || t.type === 'expense');
+    const now = new Date();
+    const startDate = period.startDate || moneyTransactions[0]?.date || now;
+    const endDate = period.endDate || moneyTransactions[moneyTransactions.length - 1]?.date || now;
+
+    const balance = moneyTransactions.reduce((sum, t) => sum + (t.type === 'income' ? t.amount : -t.amount), 0);
+
+    const entries = moneyTransactions.map(t => {
+        const isCredit = t.type === 'income';
+        const label = labels[t.category] || t.category || '';
+        return [
+            '<STMTTRN>',
+            `<TRNTYPE>${isCredit ? 'CREDIT' : 'DEBIT'}`,
+            `<DTPOSTED>${formatOfxDate(t.date)}`,
+            `<TRNAMT>${(isCredit ? t.amount : -t.amount).toFixed(2)}`,
+            `<FITID>${escapeOfxText(t.id)}`,
+            `<NAME>${escapeOfxText(label)}`,
+            `<MEMO>${escapeOfxText(t.description || label)}`,
+            '</STMTTRN>'
+        ].join('\n');
+    });
+
+    return [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        'VERSION:102',
+        'SECURITY:NONE',
+        'ENCODING:USASCII',
+        'CHARSET:1252',
+        'COMPRESSION:NONE',
+        'OLDFILEUID:NONE',
+        'NEWFILEUID:NONE',
+        '',
+        '<OFX>',
+        '<SIGNONMSGSRSV1>',
+        '<SONRS>',
+        '<STATUS>',
+        '<CODE>0',
+        '<SEVERITY>INFO',
+        '</STATUS>',
+        `<DTSERVER>${formatOfxDate(now)}`,
+        '<LANGUAGE>POR',
+        '</SONRS>',
+        '</SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1>',
+        '<STMTTRNRS>',
+        '<TRNUID>1',
+        '<STATUS>',
+        '<CODE>0',
+        '<SEVERITY>INFO',
+        '</STATUS>',
+        '<STMTRS>',
+        '<CURDEF>BRL',
+        '<BANKACCTFROM>',
+        '<BANKID>0000',
+        '<ACCTID>GPS-FINANCEIRO',
+        '<ACCTTYPE>CHECKING',
+        '</BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        `<DTSTART>${formatOfxDate(startDate)}`,
+        `<DTEND>${formatOfxDate(endDate)}`,
+        ...entries,
+        '</BANKTRANLIST>',
+        '<LEDGERBAL>',
+        `<BALAMT>${balance.toFixed(2)}`,
+        `<DTASOF>${formatOfxDate(endDate)}`,
+        '</LEDGERBAL>',
+        '</STMTRS>',
+        '</STMTTRNRS>',
+        '</BANKMSGSRSV1>',
+        '</OFX>'
+    ].join('\n');
+};
+
+/**
+ * Export transactions as a file
+ * @param {string} format - 'csv' or 'ofx'
+ * @param {object} filters - { startDate, endDate, type, category }
+ * @returns {Promise<object>} { content (string, or bytes for OFX), filename, mimeType, count }
+ */
+export const exportTransactions = async (format, filters = {}) => {
+    const [transactions, labels] = await Promise.all([
+        getTransactionsForExport(filters),
+        getExportCategoryLabels()
+    ]);
+
+    if (format === 'ofx') {
+        return {
+            // SGML header declares USASCII/1252, so the body must be encoded to match
+            content: encodeWindows1252(buildTransactionsOfx(transactions, filters, labels)),
+            filename: `gps-financeiro-extrato-${getFileDate()}.ofx`,
+            mimeType: 'application/x-ofx',
+            count: transactions.filter(t => t.type === 'income' || t.type === 'expense').length
+        };
+    }
+
+    return {
+        content: buildTransactionsCsv(transactions, labels),
+        filename: `gps-financeiro-transacoes-${getFileDate()}.csv`,
+        mimeType: 'text/csv;charset=utf-8',
+        count: transactions.length
+    };
+};
+
+// ============================================
+// Sessions
+// ============================================
+
+/**
+ * Format seconds as h:mm
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+const formatCsvDuration = (seconds) => {
+    const totalMinutes = Math.round((seconds || 0) / 60);
+    return `${Math.floor(totalMinutes / 60)}:${pad(totalMinutes % 60)}`;
+};
+
+/**
+ * Build sessions CSV
+ * @param {array} sessions - Completed sessions
+ * @returns {string} CSV content
+ */
+export const buildSessionsCsv = (sessions) => {
+    const header = ['Data', 'Início', 'Fim', 'Duração', 'Horas', 'Pausas', 'Ganhos', 'Corridas', 'Despesas', 'Lucro líquido', 'Km'];
+
+    const rows = sessions.map(session => {
+        const netProfit = session.netProfit ?? ((session.earnings || 0) - (session.expenses || 0));
+        return [
+            formatCsvDate(session.startTime),
+            formatCsvTime(session.startTime),
+            session.endTime ? formatCsvTime(session.endTime) : '',
+            formatCsvDuration(session.duration),
+            formatCsvNumber((session.duration || 0) / 3600),
+            formatCsvDuration(session.breakDuration),
+            formatCsvNumber(session.earnings),
+            session.rides || 0,
+            formatCsvNumber(session.expenses),
+            formatCsvNumber(netProfit),
+            session.km ? formatCsvNumber(session.km, 1) : ''
+        ];
+    });
+
+    return buildCsv(header, rows);
+};
+
+/**
+ * Export completed sessions as CSV
+ * @param {object} filters - { startDate, endDate }
+ * @returns {Promise<object>} { content, filename, mimeType, count }
+ */
+export const exportSessions = async (filters = {}) => {
+    const sessions = (await getSessions({ status: 'completed' }))
+        .filter(session => !filters.startDate || session.startTime >= filters.startDate)
+        .filter(session => !filters.endDate || session.startTime <= filters.endDate)
+        .sort((a, b) => a.startTime - b.startTime);
+
+    return {
+        content: buildSessionsCsv(sessions),
+        filename: `gps-financeiro-sessoes-${getFileDate()}.csv`,
+        mimeType: 'text/csv;charset=utf-8',
+        count: sessions.length
+    };
+};
+
+// ============================================
+// Tax Report
+// ============================================
+
+/**
+ * Build the yearly tax report CSV: monthly income by platform, vehicle
+ * expenses and MEI limit usage, one block after the other
+ * @param {object} report - Report from getTaxReport
+ * @param {object} labels - Category labels (optional)
+ * @returns {string} CSV content
+ */
+export const buildTaxReportCsv = (report, labels = CATEGORY_LABELS) => {
+    const categories = report.incomeByCategory.map(row => row.category);
+
+    const header = [
+        'Mês',
+        ...categories.map(category => labels[category] || category),
+        'Receita bruta',
+        'Rendimento tributável',
+        'Despesas do veículo'
+    ];
+
+    const monthRows = report.months.map(month => [
+        `${MONTH_LABELS[month.month]}/${report.year}`,
+        ...categories.map(category => formatCsvNumber(month.byCategory[category] || 0)),
+        formatCsvNumber(month.income),
+        formatCsvNumber(month.taxableIncome),
+        formatCsvNumber(month.vehicleExpenses)
+    ]);
+
+    const totalRow = [
+        'Total',
+        ...report.incomeByCategory.map(row => formatCsvNumber(row.total)),
+        formatCsvNumber(report.grossIncome),
+        formatCsvNumber(report.taxableIncome),
+        formatCsvNumber(report.vehicleExpenses.total)
+    ];
+
+    const vehicleRows = [
+        [],
+        ['Despesas do veículo'],
+        ['Data', 'Categoria', 'Descrição', 'Valor'],
+        ...report.vehicleExpenses.items.map(item => [
+            formatCsvDate(item.date),
+            labels[item.category] || item.category,
+            item.description,
+            formatCsvNumber(item.amount)
+        ]),
+        ['Total', '', '', formatCsvNumber(report.vehicleExpenses.total)]
+    ];
+
+    const meiRows = [
+        [],
+        ['MEI (DASN-SIMEI)'],
+        ['Limite do ano', formatCsvNumber(report.mei.limit)],
+        ['Receita bruta', formatCsvNumber(report.mei.used)],
+        ['Uso do limite (%)', formatCsvNumber(report.mei.ratio * 100, 1)],
+        ['Disponível', formatCsvNumber(report.mei.remaining)]
+    ];
+
+    return buildCsv(header, [...monthRows, totalRow, ...vehicleRows, ...meiRows]);
+};
+
+/**
+ * Export the yearly tax report as CSV
+ * @param {number} year - Calendar year
+ * @param {object} options - { meiOpeningMonth } (YYYY-MM, optional)
+ * @returns {Promise<object>} { content, filename, mimeType, count }
+ */
+export const exportTaxReport = async (year, options = {}) => {
+    const [report, labels] = await Promise.all([
+        getTaxReport(year, options),
+        getExportCategoryLabels()
+    ]);
+
+    return {
+        content: buildTaxReportCsv(report, labels),
+        filename: `gps-financeiro-impostos-${year}.csv`,
+        mimeType: 'text/csv;charset=utf-8',
+        count: report.months.filter(month => month.income > 0).length
+    };
+};
+
+// ============================================
+// Download
+// ============================================
+
+/**
+ * Trigger a browser download
+ * @param {string|Uint8Array} content - File content
+ * @param {string} filename - File name
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+};
@@ -90,6 +90,11 @@ const requireAuth = async (redirectTo = '/user/login/login.html') => {
         // Em caso de erro, permitir acesso para não bloquear usuários legítimos
     }
 
+    // Sincronização em segundo plano em toda página logada (importado aqui para não criar ciclo com db.js)
+    import('./app-sync.js')
+        .then(({ startAppSync }) => startAppSync())
+        .catch(error => console.error('Erro ao iniciar sincronização:', error));
+
     return user;
 };
 
@@ -0,0 +1,202 @@
+// Fuel Analysis Module for GPS Financeiro
+// Consumption (km/L), price trends and ethanol vs gasoline from fuel log entries
+
+import { getTransactions } from './db.js';
+
+// Fuel types recorded on combustivel expenses (transaction.fuel.type)
+export const FUEL_TYPES = {
+    gasolina: { label: 'Gasolina', unit: 'L', color: 'bg-red-500' },
+    etanol: { label: 'Etanol', unit: 'L', color: 'bg-green-500' },
+    gnv: { label: 'GNV', unit: 'm³', color: 'bg-blue-500' }
+};
+
+// Classic rule: ethanol pays off up to 70% of the gasoline price
+export const DEFAULT_ETHANOL_RATIO = 0.7;
+
+// ============================================
+// Fuel Entries
+// ============================================
+
+/**
+ * Get combustivel expenses that carry fuel log data
+ * @param {object} filters - { startDate, endDate } (optional)
+ * @returns {Promise<array>} Fuel entries sorted by date (oldest first)
+ */
+export const getFuelEntries = async (filters = {}) => {
+    const transactions = await getTransactions({
+        type: 'expense',
+        category: 'combustivel',
+        startDate: filters.startDate,
+        endDate: filters.endDate
+    });
+
+    return transactions
+        .filter(t => t.fuel)
+        .map(t => ({ ...t, date: new Date(t.date) }))
+        .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Price per liter of an entry (informed or derived from amount / liters)
+ * @param {object} entry - Fuel entry
+ * @returns {number|null} Price per liter
+ */
+const getPricePerLiter = (entry) => {
+    if (entry.fuel.pricePerLiter > 0) return entry.fuel.pricePerLiter;
+    if (entry.fuel.liters > 0) return entry.amount / entry.fuel.liters;
+    return null;
+};
+
+// ============================================
+// Consumption
+// ============================================
+
+/**
+ * Calculate consumption between fill-ups (full tank method)
+ * The liters of a fill-up replace what was burned since the previous one,
+ * and the fuel burned in that stretch is the type of the previous fill-up
+ * @param {array} entries - Fuel entries sorted by date
+ * @returns {object} { segments, byType: { gasolina: { distance, liters, kmPerLiter } } }
+ */
+export const calculateConsumption = (entries) => {
+    const withOdometer = entries
+        .filter(entry => entry.fuel.odometer > 0 && entry.fuel.liters > 0)
+        .sort((a, b) => a.fuel.odometer - b.fuel.odometer);
+
+    const segments = [];
+    for (let i = 1; i < withOdometer.length; i++) {
+        const previous = withOdometer[i - 1];
+        const current = withOdometer[i];
+        const distance = current.fuel.odometer - previous.fuel.odometer;
+        if (distance <= 0) continue;
+
+        segments.push({
+            from: previous.date,
+            to: current.date,
+            distance,
+            liters: current.fuel.liters,
+            kmPerLiter: distance / current.fuel.liters,
+            fuelType: previous.fuel.type || 'gasolina',
+            entryId: current.id
+        });
+    }
+
+    const byType = {};
+    segments.forEach(segment => {
+        if (!byType[segment.fuelType]) {
+            byType[segment.fuelType] = { distance: 0, liters: 0, kmPerLiter: null };
+        }
+        byType[segment.fuelType].distance += segment.distance;
+        byType[segment.fuelType].liters += segment.liters;
+    });
+
+    Object.values(byType).forEach(total => {
+        total.kmPerLiter = total.liters > 0 ? total.distance / total.liters : null;
+    });
+
+    return { segments, byType };
+};
+
+// ============================================
+// Prices
+// ============================================
+
+/**
+ * Average price per liter by month and fuel type (weighted by liters)
+ * @param {array} entries - Fuel entries
+ * @returns {object} { months: [{ month: 'YYYY-MM', gasolina, etanol, gnv }], latest: { gasolina: { price, date } } }
+ */
+export const calculatePriceTrend = (entries) => {
+    const monthly = {};
+    const latest = {};
+
+    entries.forEach(entry => {
+        const price = getPricePerLiter(entry);
+        if (!price) return;
+
+        const type = entry.fuel.type || 'gasolina';
+        const month = `${entry.date.getFullYear()}-${String(entry.date.getMonth() + 1).padStart(2, '0')}`;
+        const weight = entry.fuel.liters > 0 ? entry.fuel.liters : 1;
+
+        if (!monthly[month]) monthly[month] = {};
+        if (!monthly[month][type]) monthly[month][type] = { total: 0, weight: 0 };
+        monthly[month][type].total += price * weight;
+        monthly[month][type].weight += weight;
+
+        if (!latest[type] || entry.date >= latest[type].date) {
+            latest[type] = { price, date: entry.date };
+        }
+    });
+
+    const months = Object.keys(monthly).sort().map(month => {
+        const row = { month };
+        Object.entries(monthly[month]).forEach(([type, sums]) => {
+            row[type] = sums.total / sums.weight;
+        });
+        return row;
+    });
+
+    return { months, latest };
+};
+
+// ============================================
+// Ethanol vs Gasoline
+// ============================================
+
+/**
+ * Decide between ethanol and gasoline
+ * Uses the driver's own km/L ratio when both fuels have history,
+ * otherwise the 70% rule
+ * @param {object} consumption - Result of calculateConsumption
+ * @param {object} prices - { gasolina, etanol } price per liter
+ * @returns {object} { threshold, source, priceRatio, recommended, costPerKm }
+ */
+export const getEthanolRecommendation = (consumption, prices) => {
+    const gasolineKmL = consumption.byType.gasolina?.kmPerLiter;
+    const ethanolKmL = consumption.byType.etanol?.kmPerLiter;
+    const hasHistory = gasolineKmL > 0 && ethanolKmL > 0;
+
+    const threshold = hasHistory ? ethanolKmL / gasolineKmL : DEFAULT_ETHANOL_RATIO;
+    const priceRatio = prices.gasolina > 0 && prices.etanol > 0 ? prices.etanol / prices.gasolina : null;
+
+    let recommended = null;
+    if (priceRatio !== null) {
+        recommended = priceRatio <= threshold ? 'etanol' : 'gasolina';
+    }
+
+    return {
+        threshold,
+        source: hasHistory ? 'historico' : 'regra_70',
+        priceRatio,
+        recommended,
+        // Max ethanol price that still pays off for the given gasoline price
+        maxEthanolPrice: prices.gasolina > 0 ? prices.gasolina * threshold : null,
+        costPerKm: {
+            gasolina: gasolineKmL > 0 && prices.gasolina > 0 ? prices.gasolina / gasolineKmL : null,
+            etanol: ethanolKmL > 0 && prices.etanol > 0 ? prices.etanol / ethanolKmL : null
+        }
+    };
+};
+
+/**
+ * Full fuel analysis for a period
+ * @param {object} filters - { startDate, endDate } (optional)
+ * @returns {Promise<object>} { entries, consumption, trend, recommendation, totals }
+ */
+export const getFuelAnalysis = async (filters = {}) => {
+    const entries = await getFuelEntries(filters);
+    const consumption = calculateConsumption(entries);
+    const trend = calculatePriceTrend(entries);
+
+    const recommendation = getEthanolRecommendation(consumption, {
+        gasolina: trend.latest.gasolina?.price,
+        etanol: trend.latest.etanol?.price
+    });
+
+    const totals = entries.reduce((sum, entry) => ({
+        amount: sum.amount + (entry.amount || 0),
+        liters: sum.liters + (entry.fuel.liters || 0)
+    }), { amount: 0, liters: 0 });
+
+    return { entries, consumption, trend, recommendation, totals };
+};
@@ -0,0 +1,434 @@
+// Import Module for GPS Financeiro
+// Bank statements (OFX) and platform earnings reports (CSV) into transactions
+
+import { addTransaction, getTransactions, recalculateGoalsProgress } from './db.js';
+import { getStartOfDay } from './utils.js';
+import { getCategories, getActiveCategories } from './categories.js';
+
+// Keyword rules for auto-categorization (first match wins, checked on normalized text)
+const CATEGORY_RULES = [
+    { category: 'uber', type: 'income', keywords: ['uber'] },
+    { category: '99', type: 'income', keywords: ['99app', '99 app', '99 tecnologia', '99pop', '99 pop', '99taxi'] },
+    { category: 'indrive', type: 'income', keywords: ['indrive', 'indriver'] },
+    { category: 'loja_movimento', type: 'income', keywords: ['loja em movimento', 'loja movimento'] },
+    { category: 'combustivel', type: 'expense', keywords: ['posto', 'combust', 'gasolina', 'etanol', 'shell', 'ipiranga', 'petrobras', 'br mania', 'ale combust', 'gnv'] },
+    { category: 'manutencao', type: 'expense', keywords: ['oficina', 'mecanic', 'pneu', 'auto pecas', 'autopecas', 'borracharia', 'troca de oleo', 'revisao'] },
+    { category: 'lavagem', type: 'expense', keywords: ['lava jato', 'lavajato', 'lava rapido', 'lavagem', 'car wash'] },
+    { category: 'estacionamento', type: 'expense', keywords: ['estacion', 'parking', 'zona azul', 'estapar'] },
+    { category: 'alimentacao', type: 'expense', keywords: ['restaurante', 'lanchonete', 'lanche', 'padaria', 'ifood', 'mercado', 'supermercado', 'cafe', 'pizzaria'] }
+];
+
+// ============================================
+// Parsing Helpers
+// ============================================
+
+/**
+ * Lowercase text without accents (keyword matching)
+ * @param {string} text - Free text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Decimal separator used by a set of amounts (a CSV column or an OFX file)
+ * A separator counts as decimal when it comes after the other one or has 1-2 digits after it,
+ * so "1.234" alone is ambiguous but "1.234" next to "12,50" is read as a thousand
+ * @param {array} values - Raw values
+ * @returns {string|null} ',' or '.', null when no value tells
+ */
+export const detectDecimalSeparator = (values) => {
+    let comma = 0;
+    let dot = 0;
+
+    values.forEach(value => {
+        const text = String(value ?? '').replace(/[^\d.,]/g, '');
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+
+        if ((lastComma > lastDot && lastDot !== -1) || /,\d{1,2}$/.test(text)) comma++;
+        else if ((lastDot > lastComma && lastComma !== -1) || /\.\d{1,2}$/.test(text)) dot++;
+    });
+
+    if (comma === 0 && dot === 0) return null;
+    return comma >= dot ? ',' : '.';
+};
+
+/**
+ * Parse numbers in Brazilian or international format
+ * Accepts "R$ 1.234,56", "-1234.56", "(12,00)" and "12,5"
+ * @param {string} value - Raw value
+ * @param {string|null} decimalSeparator - ',' or '.' when known for the file (see detectDecimalSeparator)
+ * @returns {number|null} Number or null when invalid
+ */
+export const parseAmount = (value, decimalSeparator = null) => {
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text) || /\bD$/i.test(text);
+    text = text.replace(/[^\d.,]/g, '');
+    if (!text) return null;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (decimalSeparator === ',') {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else if (decimalSeparator === '.') {
+        text = text.replace(/,/g, '');
+    } else if (lastComma > lastDot) {
+        // 1.234,56 -> comma is the decimal separator
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else if (lastDot > lastComma && lastComma !== -1) {
+        // 1,234.56 -> dot is the decimal separator
+        text = text.replace(/,/g, '');
+    } else if (lastDot !== -1 && text.length - lastDot - 1 === 3 && text.indexOf('.') !== lastDot) {
+        // 1.234.567 -> thousand separators only
+        text = text.replace(/\./g, '');
+    }
+
+    const number = parseFloat(text);
+    if (isNaN(number)) return null;
+    return negative ? -number : number;
+};
+
+/**
+ * Parse dates in dd/mm/yyyy, dd/mm/yy, dd-mm-yyyy or yyyy-mm-dd (time optional)
+ * @param {string} value - Raw date
+ * @returns {Date|null} Date or null when invalid
+ */
+export const parseDate = (value) => {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?/);
+    let year, month, day, hours = 12, minutes = 0;
+
+    if (match) {
+        [, year, month, day] = match.map(Number);
+        if (match[4]) {
+            hours = Number(match[4]);
+            minutes = Number(match[5]);
+        }
+    } else {
+        match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:\s+(\d{1,2}):(\d{2}))?/);
+        if (!match) return null;
+        [, day, month, year] = match.map(Number);
+        if (year < 100) year += 2000;
+        if (match[4]) {
+            hours = Number(match[4]);
+            minutes = Number(match[5]);
+        }
+    }
+
+    const date = new Date(year, month - 1, day, hours, minutes);
+    if (isNaN(date.getTime()) || date.getMonth() !== month - 1) return null;
+    return date;
+};
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Parse CSV text, detecting the separator (; , or tab) and quoted fields
+ * @param {string} text - File content
+ * @returns {object} { header, rows }
+ */
+export const parseCsv = (text) => {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/)[0] || '';
+    const separator = [';', '\t', ','].reduce((best, candidate) => {
+        return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+    }, ';');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field.trim());
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field.trim());
+    if (row.some(value => value !== '')) rows.push(row);
+
+    return { header: rows[0] || [], rows: rows.slice(1) };
+};
+
+/**
+ * Guess which CSV columns hold date, amount and description
+ * @param {array} header - CSV header
+ * @returns {object} { date, amount, description } column indexes (-1 when not found)
+ */
+export const guessColumnMapping = (header) => {
+    const normalized = header.map(normalizeText);
+    // Patterns in priority order, so "Data" wins over a "Média" column
+    const find = (patterns) => {
+        for (const pattern of patterns) {
+            const index = normalized.findIndex(name => name.includes(pattern));
+            if (index !== -1) return index;
+        }
+        return -1;
+    };
+
+    return {
+        date: find(['data', 'date', 'dia']),
+        amount: find(['valor', 'amount', 'value', 'total', 'ganho', 'liquido', 'quantia']),
+        description: find(['descri', 'historico', 'memo', 'lancamento', 'detalhe', 'estabelecimento', 'name'])
+    };
+};
+
+/**
+ * Convert CSV rows into import entries
+ * @param {array} rows - CSV rows
+ * @param {object} mapping - { date, amount, description } column indexes
+ * @param {string} sign - 'signed' (negative = expense), 'income' or 'expense'
+ * @returns {array} Entries { date, amount (signed), description, invalid }
+ */
+export const csvRowsToEntries = (rows, mapping, sign = 'signed') => {
+    const decimalSeparator = detectDecimalSeparator(rows.map(row => row[mapping.amount]));
+
+    return rows.map(row => {
+        const date = parseDate(row[mapping.date]);
+        const rawAmount = parseAmount(row[mapping.amount], decimalSeparator);
+        let amount = rawAmount;
+
+        if (rawAmount !== null && sign === 'income') amount = Math.abs(rawAmount);
+        if (rawAmount !== null && sign === 'expense') amount = -Math.abs(rawAmount);
+
+        return {
+            date,
+            amount,
+            description: mapping.description >= 0 ? row[mapping.description] || '' : '',
+            importId: null,
+            invalid: !date || amount === null || amount === 0
+        };
+    });
+};
+
+// ============================================
+// OFX
+// ============================================
+
+/**
+ * Read a tag value from an OFX block (SGML tags may have no closing tag)
+ * @param {string} block - OFX text
+ * @param {string} tag - Tag name
+ * @returns {string} Value or empty string
+ */
+const readOfxTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+};
+
+/**
+ * Parse OFX date (YYYYMMDD[HHMMSS][.XXX][TZ])
+ * @param {string} value - OFX date
+ * @returns {Date|null} Date or null
+ */
+const parseOfxDate = (value) => {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2}))?/);
+    if (!match) return null;
+    const [, year, month, day, hours = '12', minutes = '00'] = match;
+    return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+};
+
+/**
+ * Parse OFX statement transactions
+ * @param {string} text - File content
+ * @returns {array} Entries { date, amount (signed), description, importId, invalid }
+ */
+export const parseOfx = (text) => {
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+    // Some banks write TRNAMT with a decimal comma
+    const decimalSeparator = detectDecimalSeparator(blocks.map(block => readOfxTag(block, 'TRNAMT')));
+
+    return blocks.map(block => {
+        const date = parseOfxDate(readOfxTag(block, 'DTPOSTED'));
+        const amount = parseAmount(readOfxTag(block, 'TRNAMT'), decimalSeparator);
+        const memo = readOfxTag(block, 'MEMO');
+        const name = readOfxTag(block, 'NAME');
+        const fitId = readOfxTag(block, 'FITID');
+
+        return {
+            date,
+            amount,
+            description: [name, memo].filter(Boolean).filter((value, index, list) => list.indexOf(value) === index).join(' - '),
+            importId: fitId ? `ofx_${fitId}` : null,
+            invalid: !date || amount === null || amount === 0
+        };
+    });
+};
+
+// ============================================
+// Categorization & Duplicates
+// ============================================
+
+/**
+ * Suggest type and category for an entry from its description and sign
+ * Rules pointing to a category that was archived or merged away are skipped
+ * @param {object} entry - { amount (signed), description }
+ * @param {Set} activeIds - Ids of the active categories (optional, all rules apply without it)
+ * @returns {object} { type, category }
+ */
+export const categorizeEntry = (entry, activeIds = null) => {
+    const type = entry.amount >= 0 ? 'income' : 'expense';
+    const text = normalizeText(entry.description);
+
+    const rule = CATEGORY_RULES.find(candidate =>
+        candidate.type === type &&
+        (!activeIds || activeIds.has(candidate.category)) &&
+        candidate.keywords.some(keyword => text.includes(keyword))
+    );
+
+    return {
+        type,
+        category: rule ? rule.category : (type === 'income' ? 'outros_receita' : 'outros_despesa')
+    };
+};
+
+/**
+ * Same calendar day check
+ * @param {Date} a - Date
+ * @param {Date} b - Date
+ * @returns {boolean}
+ */
+const isSameDay = (a, b) => getStartOfDay(a).getTime() === getStartOfDay(b).getTime();
+
+/**
+ * Build import preview: categorize entries and flag duplicates of existing transactions
+ * A duplicate is the same import ID (OFX FITID) or same type, amount and day
+ * @param {array} entries - Parsed entries
+ * @returns {Promise<array>} Preview rows { ...entry, type, category, amount (positive), duplicate, selected }
+ */
+export const buildImportPreview = async (entries) => {
+    const valid = entries.filter(entry => !entry.invalid);
+    if (valid.length === 0) return [];
+
+    const dates = valid.map(entry => entry.date.getTime());
+    const startDate = getStartOfDay(new Date(Math.min(...dates)));
+    const endDate = new Date(Math.max(...dates));
+    endDate.setHours(23, 59, 59, 999);
+
+    const [existing, registry] = await Promise.all([
+        getTransactions({ startDate, endDate }),
+        getCategories()
+    ]);
+    const existingImportIds = new Set(existing.map(t => t.importId).filter(Boolean));
+    const activeIds = new Set([
+        ...getActiveCategories(registry, 'income'),
+        ...getActiveCategories(registry, 'expense')
+    ].map(category => category.id));
+
+    return valid.map(entry => {
+        const { type, category } = categorizeEntry(entry, activeIds);
+        const amount = Math.abs(entry.amount);
+
+        const duplicate = (entry.importId && existingImportIds.has(entry.importId)) ||
+            existing.some(t =>
+                t.type === type &&
+                t.subType !== 'saving' &&
+                Math.abs(t.amount - amount) < 0.005 &&
+                isSameDay(new Date(t.date), entry.date)
+            );
+
+        return {
+            ...entry,
+            type,
+            category,
+            amount,
+            duplicate,
+            selected: !duplicate
+        };
+    });
+};
+
+/**
+ * Decode a statement file, honoring the charset declared in an OFX 1.x header
+ * (Brazilian banks usually send CHARSET:1252; everything else is read as UTF-8)
+ * @param {ArrayBuffer} buffer - File bytes
+ * @returns {string} File content
+ */
+const decodeStatement = (buffer) => {
+    // The SGML header is plain ASCII, so any single-byte decoding reads it
+    const head = new TextDecoder('windows-1252').decode(buffer.slice(0, 1024));
+    const charset = head.match(/^CHARSET:\s*(\S+)/im)?.[1] || '';
+    const encoding = /^(1252|ISO-8859-1|8859-1)$/i.test(charset) ? 'windows-1252' : 'utf-8';
+    return new TextDecoder(encoding).decode(buffer);
+};
+
+/**
+ * Read a statement file into entries
+ * @param {File} file - CSV or OFX file
+ * @returns {Promise<object>} { format, entries } for OFX or { format, header, rows, mapping } for CSV
+ */
+export const readStatementFile = async (file) => {
+    const text = decodeStatement(await file.arrayBuffer());
+    const isOfx = /\.ofx$/i.test(file.name) || /<OFX>/i.test(text);
+
+    if (isOfx) {
+        return { format: 'ofx', entries: parseOfx(text) };
+    }
+
+    const { header, rows } = parseCsv(text);
+    return { format: 'csv', header, rows, mapping: guessColumnMapping(header) };
+};
+
+/**
+ * Save selected preview rows as transactions
+ * Goals are recalculated once at the end, so rows inside a goal's period count towards it
+ * @param {array} rows - Preview rows (only selected ones are saved)
+ * @param {string} source - 'csv' or 'ofx'
+ * @returns {Promise<object>} { imported, failed }
+ */
+export const importPreviewRows = async (rows, source) => {
+    const result = { imported: 0, failed: 0 };
+
+    for (const row of rows.filter(candidate => candidate.selected)) {
+        try {
+            await addTransaction({
+                type: row.type,
+                category: row.category,
+                amount: row.amount,
+                description: row.description || '',
+                date: row.date,
+                importSource: source,
+                importId: row.importId || null
+            });
+            result.imported++;
+        } catch (error) {
+            console.error('Erro ao importar linha:', row, error);
+            result.failed++;
+        }
+    }
+
+    if (result.imported > 0) {
+        await recalculateGoalsProgress();
+    }
+
+    return result;
+};
@@ -0,0 +1,514 @@
+// Offline Queue Module for GPS Financeiro
+// Durable IndexedDB outbox for writes made without connection
+
+import { addTransaction, newTransactionId, normalizeTransactionItems, uploadTransactionReceipts, pauseSession, resumeSession, endSession, recalculateGoalsProgress } from './db.js';
+
+// Keep in sync with the outbox constants in /sw.js
+const DB_NAME = 'gps-financeiro-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+export const SYNC_TAG = 'sync-transactions';
+
+// With IndexedDB persistence Firestore never rejects a write on a bad connection,
+// it waits for the server ack; a write still pending after this long goes to the outbox
+const WRITE_TIMEOUT_MS = 8000;
+// Receipt uploads carry photos, give them longer before giving up
+const UPLOAD_TIMEOUT_MS = 30000;
+const TIMEOUT_ERROR_CODE = 'outbox/timeout';
+
+// Outbox listeners (UI updates)
+const listeners = new Set();
+let isFlushing = false;
+
+// Pages told when a flush synced something (see initOutboxSync)
+const syncedCallbacks = new Set();
+let isSyncStarted = false;
+
+// Goal recalculation running now, and whether another one was asked for meanwhile
+let goalsRecalculation = null;
+let isGoalsRecalculationQueued = false;
+
+// ============================================
+// IndexedDB Helpers
+// ============================================
+
+/**
+ * Open outbox database (creates store on first use)
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+const openOutboxDB = () => {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if (!database.objectStoreNames.contains(STORE_NAME)) {
+                database.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Run a single request against the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+const withStore = async (mode, operation) => {
+    const database = await openOutboxDB();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE_NAME, mode);
+        const request = operation(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => {
+            database.close();
+            resolve(request.result);
+        };
+        tx.onerror = () => {
+            database.close();
+            reject(tx.error);
+        };
+    });
+};
+
+// ============================================
+// Outbox Operations
+// ============================================
+
+/**
+ * Get all outbox entries in insertion order
+ * @returns {Promise<array>} Outbox entries
+ */
+export const getOutboxEntries = async () => {
+    const entries = await withStore('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Add entry to the outbox
+ * @param {string} kind - Entry kind ('transaction', 'session-pause', 'session-resume' or 'session-end')
+ * @param {object} payload - Data needed to replay the write
+ * @returns {Promise<number>} Outbox entry ID
+ */
+const enqueue = async (kind, payload) => {
+    const id = await withStore('readwrite', store => store.add({
+        kind,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date().toISOString()
+    }));
+
+    await requestBackgroundSync();
+    await notifyListeners();
+    return id;
+};
+
+/**
+ * Remove entry from the outbox
+ * @param {number} entryId - Outbox entry ID
+ */
+export const removeOutboxEntry = async (entryId) => {
+    await withStore('readwrite', store => store.delete(entryId));
+    await notifyListeners();
+};
+
+/**
+ * Update entry fields (status, attempts, lastError)
+ * @param {object} entry - Entry with changes applied
+ */
+const saveOutboxEntry = async (entry) => {
+    await withStore('readwrite', store => store.put(entry));
+};
+
+/**
+ * Ask the service worker to fire a sync event when back online
+ */
+const requestBackgroundSync = async () => {
+    try {
+        if (!('serviceWorker' in navigator)) return;
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) {
+            await registration.sync.register(SYNC_TAG);
+        }
+    } catch (error) {
+        // Background Sync not supported, the 'online' listener covers it
+        console.warn('Background sync indisponível:', error);
+    }
+};
+
+/**
+ * Subscribe to outbox changes
+ * @param {function} callback - Callback with outbox entries
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToOutbox = (callback) => {
+    listeners.add(callback);
+    getOutboxEntries().then(callback).catch(error => {
+        console.error('Erro ao ler fila offline:', error);
+    });
+    return () => listeners.delete(callback);
+};
+
+const notifyListeners = async () => {
+    if (listeners.size === 0) return;
+    const entries = await getOutboxEntries();
+    listeners.forEach(callback => callback(entries));
+};
+
+// ============================================
+// Writes with Offline Fallback
+// ============================================
+
+/**
+ * Reject when a write does not settle in time (the write itself keeps going)
+ * @param {Promise} promise - Pending write
+ * @param {number} ms - Time limit in milliseconds
+ * @returns {Promise<any>} Write result
+ */
+const withTimeout = (promise, ms = WRITE_TIMEOUT_MS) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error('Tempo esgotado aguardando o servidor');
+            error.code = TIMEOUT_ERROR_CODE;
+            reject(error);
+        }, ms);
+    });
+
+    // A write that gives up late must not surface as an unhandled rejection
+    promise.catch(() => {});
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Recalculate goals without holding up the caller on a bad connection
+ * Calls made while a recalculation runs collapse into a single one after it,
+ * so a burst of saves (e.g. ending a session) recalculates at most twice
+ * @returns {Promise<void>} Resolves when the current recalculation ends (never rejects)
+ */
+const recalculateGoalsInBackground = () => {
+    if (goalsRecalculation) {
+        isGoalsRecalculationQueued = true;
+        return goalsRecalculation;
+    }
+
+    goalsRecalculation = withTimeout(recalculateGoalsProgress())
+        .catch(error => console.warn('Metas serão recalculadas na próxima sincronização:', error))
+        .finally(() => {
+            goalsRecalculation = null;
+            if (isGoalsRecalculationQueued) {
+                isGoalsRecalculationQueued = false;
+                recalculateGoalsInBackground();
+            }
+        });
+
+    return goalsRecalculation;
+};
+
+/**
+ * Save transaction, queueing it in the outbox when offline, on failure or when the
+ * server does not answer in time (navigator.onLine is only trusted when it says offline)
+ * Goals are recalculated after saving (any transaction can move a profit or limit goal)
+ * Receipt photos are kept in the outbox as blobs and uploaded on replay
+ * @param {object} transaction - Transaction data (same shape as addTransaction)
+ * @param {array} receiptFiles - Compressed receipt images (optional)
+ * @returns {Promise<object>} { queued, id }
+ */
+export const saveTransactionOrQueue = async (transaction, receiptFiles = []) => {
+    // Invalid line items would fail on every replay, reject them before queueing
+    normalizeTransactionItems(transaction.items, transaction.amount);
+
+    const transactionId = newTransactionId();
+
+    if (navigator.onLine) {
+        let saved = false;
+        try {
+            await saveTransactionWithReceipts(transaction, transactionId, receiptFiles);
+            saved = true;
+        } catch (error) {
+            console.warn('Falha ao salvar transação, enviando para a fila:', error);
+        }
+
+        if (saved) {
+            recalculateGoalsInBackground();
+            return { queued: false, id: transactionId };
+        }
+    }
+
+    const entryId = await enqueue('transaction', {
+        transactionId,
+        transaction: {
+            ...transaction,
+            date: new Date(transaction.date).toISOString()
+        },
+        receipts: receiptFiles
+    });
+    return { queued: true, id: entryId };
+};
+
+/**
+ * Upload receipts, then write the transaction under a fixed ID
+ * (a replay after a partial failure or a timed out write overwrites instead of duplicating)
+ * @param {object} transaction - Transaction data
+ * @param {string} transactionId - Transaction ID
+ * @param {array} receiptFiles - Receipt images
+ */
+const saveTransactionWithReceipts = async (transaction, transactionId, receiptFiles = []) => {
+    const data = { ...transaction };
+    if (receiptFiles.length > 0) {
+        data.receipts = await withTimeout(uploadTransactionReceipts(transactionId, receiptFiles), UPLOAD_TIMEOUT_MS);
+    }
+    await withTimeout(addTransaction(data, transactionId));
+};
+
+/**
+ * Pause session, queueing it in the outbox when offline, on failure or on timeout
+ * Queued pauses replay before a queued end of the same session (outbox order)
+ * @param {string} sessionId - Session ID
+ * @param {Date} pausedAt - Pause start
+ * @returns {Promise<object>} { queued }
+ */
+export const pauseSessionOrQueue = async (sessionId, pausedAt = new Date()) => {
+    if (navigator.onLine) {
+        try {
+            await withTimeout(pauseSession(sessionId, pausedAt));
+            return { queued: false };
+        } catch (error) {
+            console.warn('Falha ao pausar sessão, enviando para a fila:', error);
+        }
+    }
+
+    await enqueue('session-pause', {
+        sessionId,
+        pausedAt: new Date(pausedAt).toISOString()
+    });
+    return { queued: true };
+};
+
+/**
+ * Resume session (closing the break), queueing it in the outbox when offline, on failure or on timeout
+ * @param {string} sessionId - Session ID
+ * @param {Date} breakStart - Break start
+ * @param {Date} breakEnd - Break end
+ * @returns {Promise<object>} { queued }
+ */
+export const resumeSessionOrQueue = async (sessionId, breakStart, breakEnd = new Date()) => {
+    if (navigator.onLine) {
+        try {
+            await withTimeout(resumeSession(sessionId, breakStart, breakEnd));
+            return { queued: false };
+        } catch (error) {
+            console.warn('Falha ao retomar sessão, enviando para a fila:', error);
+        }
+    }
+
+    await enqueue('session-resume', {
+        sessionId,
+        breakStart: new Date(breakStart).toISOString(),
+        breakEnd: new Date(breakEnd).toISOString()
+    });
+    return { queued: true };
+};
+
+/**
+ * Apply queued pauses and resumes of a session on top of what Firestore returned,
+ * so a reload while offline keeps the breaks taken since
+ * @param {array} entries - Outbox entries
+ * @param {string} sessionId - Session ID
+ * @param {object} state - { breaks: [{ start, end }], pausedAt } from the session document
+ * @returns {object} { breaks, pausedAt } (Dates)
+ */
+export const applyQueuedSessionBreaks = (entries, sessionId, state) => {
+    let breaks = [...(state.breaks || [])];
+    let pausedAt = state.pausedAt || null;
+
+    entries
+        .filter(entry => entry.payload?.sessionId === sessionId)
+        .forEach(entry => {
+            if (entry.kind === 'session-pause') {
+                pausedAt = new Date(entry.payload.pausedAt);
+            } else if (entry.kind === 'session-resume') {
+                const start = new Date(entry.payload.breakStart);
+                // Skip breaks the cache already has (the write may have reached it before timing out)
+                if (!breaks.some(interval => new Date(interval.start).getTime() === start.getTime())) {
+                    breaks.push({ start, end: new Date(entry.payload.breakEnd) });
+                }
+                pausedAt = null;
+            }
+        });
+
+    return { breaks, pausedAt };
+};
+
+/**
+ * End session, queueing it in the outbox when offline, on failure or on timeout
+ * @param {string} sessionId - Session ID
+ * @param {number} duration - Active duration in seconds
+ * @param {number} earnings - Total earnings
+ * @param {number} rides - Number of rides
+ * @param {number} expenses - Total expenses
+ * @param {object} details - Breaks, platforms, km and expense category (same shape as endSession)
+ * @returns {Promise<object>} { queued }
+ */
+export const endSessionOrQueue = async (sessionId, duration, earnings, rides = 0, expenses = 0, details = {}) => {
+    if (navigator.onLine) {
+        try {
+            await withTimeout(endSession(sessionId, duration, earnings, rides, expenses, details));
+            return { queued: false };
+        } catch (error) {
+            console.warn('Falha ao encerrar sessão, enviando para a fila:', error);
+        }
+    }
+
+    await enqueue('session-end', {
+        sessionId,
+        duration,
+        earnings,
+        rides,
+        expenses,
+        details: {
+            ...details,
+            breaks: details.breaks ? details.breaks.map(interval => ({
+                start: new Date(interval.start).toISOString(),
+                end: new Date(interval.end).toISOString()
+            })) : null
+        }
+    });
+    return { queued: true };
+};
+
+// ============================================
+// Replay
+// ============================================
+
+/**
+ * Replay a single outbox entry against Firestore
+ * @param {object} entry - Outbox entry
+ */
+const replayEntry = async (entry) => {
+    const { payload } = entry;
+
+    switch (entry.kind) {
+        case 'transaction':
+            // Entries queued before receipts existed have no fixed ID: keep the one
+            // given now so a timed out replay does not create a second document
+            if (!payload.transactionId) {
+                payload.transactionId = newTransactionId();
+                await saveOutboxEntry(entry);
+            }
+            await saveTransactionWithReceipts({
+                ...payload.transaction,
+                date: new Date(payload.transaction.date)
+            }, payload.transactionId, payload.receipts || []);
+            break;
+        case 'session-pause':
+            await withTimeout(pauseSession(payload.sessionId, new Date(payload.pausedAt)));
+            break;
+        case 'session-resume':
+            // arrayUnion ignores a break that an earlier timed out write already added
+            await withTimeout(resumeSession(payload.sessionId, new Date(payload.breakStart), new Date(payload.breakEnd)));
+            break;
+        case 'session-end':
+            await withTimeout(endSession(payload.sessionId, payload.duration, payload.earnings, payload.rides, payload.expenses, payload.details));
+            break;
+        default:
+            throw new Error(`Tipo de entrada desconhecido: ${entry.kind}`);
+    }
+};
+
+/**
+ * Replay all queued entries (pending and failed) in order
+ * @returns {Promise<object>} { synced, failed }
+ */
+export const flushOutbox = async () => {
+    const result = { synced: 0, failed: 0 };
+    if (isFlushing || !navigator.onLine) return result;
+
+    isFlushing = true;
+    try {
+        const entries = await getOutboxEntries();
+
+        for (const entry of entries) {
+            try {
+                await replayEntry(entry);
+                await withStore('readwrite', store => store.delete(entry.id));
+                result.synced++;
+            } catch (error) {
+                console.error('Erro ao sincronizar entrada da fila:', entry.id, error);
+                const timedOut = error.code === TIMEOUT_ERROR_CODE;
+                await saveOutboxEntry({
+                    ...entry,
+                    status: timedOut ? 'pending' : 'failed',
+                    attempts: (entry.attempts || 0) + 1,
+                    lastError: error.message || String(error)
+                });
+                result.failed++;
+
+                // The connection is bad: leave the rest for the next flush instead of waiting on each entry
+                if (timedOut) break;
+            }
+        }
+
+        if (result.synced > 0) {
+            console.log(`Fila offline: ${result.synced} lançamento(s) sincronizado(s)`);
+            // Once for the whole flush, like importPreviewRows
+            await recalculateGoalsInBackground();
+        }
+    } finally {
+        isFlushing = false;
+        await notifyListeners();
+    }
+
+    return result;
+};
+
+/**
+ * Flush the outbox and tell the pages that asked to know
+ * @returns {Promise<object>} { synced, failed, remaining }
+ */
+const runOutboxSync = async () => {
+    let result = { synced: 0, failed: 0 };
+    try {
+        result = await flushOutbox();
+        if (result.synced > 0 || result.failed > 0) {
+            syncedCallbacks.forEach(callback => callback(result));
+        }
+    } catch (error) {
+        console.error('Erro ao processar fila offline:', error);
+    }
+
+    const remaining = (await getOutboxEntries().catch(() => [])).length;
+    return { ...result, remaining };
+};
+
+/**
+ * Start replaying the outbox when the app comes back online
+ * or when the service worker receives a 'sync' event
+ * Started for every signed in page by app-sync.js; pages call it again only to add a callback
+ * @param {function} onSynced - Callback with flush result when something was synced (optional)
+ */
+export const initOutboxSync = (onSynced = null) => {
+    if (onSynced) syncedCallbacks.add(onSynced);
+    if (isSyncStarted) return;
+    isSyncStarted = true;
+
+    window.addEventListener('online', runOutboxSync);
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', async (event) => {
+            if (event.data?.type === 'REPLAY_OUTBOX') {
+                // The service worker waits for this answer before marking the sync done
+                const result = await runOutboxSync();
+                event.ports[0]?.postMessage({ type: 'OUTBOX_REPLAYED', ...result });
+            }
+        });
+    }
+
+    runOutboxSync();
+};
@@ -0,0 +1,328 @@
+// Recurring Transactions Module for GPS Financeiro
+// Expands recurring templates into real transactions (rent, insurance, phone plans, app fees)
+
+import {
+    addTransaction,
+    getTransaction,
+    updateTransaction,
+    deleteTransaction,
+    getRecurringTemplates,
+    updateRecurringTemplate,
+    setRecurringOverride,
+    recalculateGoalsProgress
+} from './db.js';
+import { getStartOfDay } from './utils.js';
+
+// Keep in sync with the periodicsync handler in /sw.js
+export const RECURRING_SYNC_TAG = 'materialize-recurring';
+const RECURRING_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+// Safety cap for templates that were left behind for a long time
+const MAX_OCCURRENCES_PER_RUN = 60;
+
+// Occurrence dates walked for one range at most (a daily template over 50+ years)
+const MAX_OCCURRENCE_SCAN = 20000;
+
+export const RECURRING_FREQUENCIES = {
+    weekly: { label: 'Semanal' },
+    monthly: { label: 'Mensal' },
+    every_n_days: { label: 'A cada N dias' }
+};
+
+let isMaterializing = false;
+
+// Pages told when materializing created something, and the first run (see initRecurringSync)
+const createdCallbacks = new Set();
+let initialRun = null;
+
+// ============================================
+// Occurrences
+// ============================================
+
+/**
+ * Local date key used to identify an occurrence
+ * @param {Date} date - Occurrence date
+ * @returns {string} Key in YYYY-MM-DD format
+ */
+export const toOccurrenceKey = (date) => {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Parse an occurrence key back into a local date
+ * @param {string} key - Key in YYYY-MM-DD format
+ * @returns {Date} Date at local midnight
+ */
+export const fromOccurrenceKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Date of the n-th occurrence of a template
+ * Monthly templates keep the start day, clamped to shorter months (31 -> 28/30)
+ * @param {object} template - Recurring template
+ * @param {number} index - Occurrence index (0 = start date)
+ * @returns {Date} Occurrence date
+ */
+const getOccurrenceDate = (template, index) => {
+    const start = getStartOfDay(template.startDate);
+
+    if (template.frequency === 'monthly') {
+        const month = start.getMonth() + index;
+        const daysInMonth = new Date(start.getFullYear(), month + 1, 0).getDate();
+        return new Date(start.getFullYear(), month, Math.min(start.getDate(), daysInMonth));
+    }
+
+    const step = template.frequency === 'weekly' ? 7 : Math.max(1, template.intervalDays || 1);
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + step * index);
+};
+
+/**
+ * List occurrences of a template within a date range (inclusive)
+ * @param {object} template - Recurring template
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {array} [{ key, date, amount, description, skipped, edited }] (empty for templates with an invalid date)
+ */
+export const getOccurrences = (template, from, to) => {
+    const rangeStart = getStartOfDay(from);
+    const rangeEnd = template.endDate && template.endDate < to ? template.endDate : to;
+    const overrides = template.overrides || {};
+    const occurrences = [];
+
+    // Invalid Date compares false both ways, so the loop below would never end
+    const isValidDate = (date) => date instanceof Date && !isNaN(date.getTime());
+    if (!isValidDate(getOccurrenceDate(template, 0)) || !isValidDate(new Date(rangeEnd))) return [];
+
+    for (let index = 0; index < MAX_OCCURRENCE_SCAN; index++) {
+        const date = getOccurrenceDate(template, index);
+        if (date > rangeEnd) break;
+        if (date < rangeStart) continue;
+
+        const key = toOccurrenceKey(date);
+        const override = overrides[key] || {};
+
+        occurrences.push({
+            key,
+            date,
+            amount: override.amount ?? template.amount,
+            description: override.description ?? template.description,
+            skipped: override.skip === true,
+            edited: override.amount !== undefined || override.description !== undefined
+        });
+    }
+
+    return occurrences;
+};
+
+/**
+ * Next occurrences of a template from today on
+ * @param {object} template - Recurring template
+ * @param {number} count - How many occurrences
+ * @returns {array} Occurrences (same shape as getOccurrences)
+ */
+export const getUpcomingOccurrences = (template, count = 3) => {
+    const from = getStartOfDay();
+    // Widest step is a month, so count + 1 months always covers it
+    const to = new Date(from.getFullYear(), from.getMonth() + count + 1, from.getDate());
+    if (template.frequency === 'every_n_days') {
+        to.setTime(from.getTime() + (template.intervalDays || 1) * (count + 1) * 24 * 60 * 60 * 1000);
+    }
+
+    return getOccurrences(template, from, to).slice(0, count);
+};
+
+// ============================================
+// Materialization
+// ============================================
+
+/**
+ * Fixed ID of the transaction created for an occurrence
+ * @param {object} template - Recurring template
+ * @param {string} key - Occurrence key
+ * @returns {string} Transaction ID
+ */
+const getOccurrenceTransactionId = (template, key) => `rec_${template.id}_${key}`;
+
+/**
+ * Create the transaction of a single occurrence
+ * Uses a fixed ID per occurrence so a second run (another tab, the
+ * periodic sync) never duplicates it
+ * @param {object} template - Recurring template
+ * @param {object} occurrence - Occurrence from getOccurrences
+ * @returns {Promise<boolean>} True when created
+ */
+const materializeOccurrence = async (template, occurrence) => {
+    const transactionId = getOccurrenceTransactionId(template, occurrence.key);
+    const existing = await getTransaction(transactionId);
+    if (existing) return false;
+
+    const transaction = {
+        type: template.type,
+        subType: template.subType || null,
+        amount: occurrence.amount,
+        category: template.category,
+        description: occurrence.description || '',
+        date: occurrence.date,
+        recurringId: template.id,
+        occurrence: occurrence.key
+    };
+
+    await addTransaction(transaction, transactionId);
+    return true;
+};
+
+/**
+ * Save the skip/edit override of an occurrence and apply it to the transaction
+ * already created for it (deleted when skipped, updated when edited, created
+ * again when a past skipped occurrence is restored)
+ * @param {object} template - Recurring template
+ * @param {string} key - Occurrence key
+ * @param {object|null} override - { skip } or { amount, description }; null restores the template values
+ * @returns {Promise<boolean>} Success
+ */
+export const saveOccurrenceOverride = async (template, key, override) => {
+    const saved = await setRecurringOverride(template.id, key, override);
+    if (!saved) return false;
+
+    const overrides = { ...(template.overrides || {}) };
+    if (override) overrides[key] = override;
+    else delete overrides[key];
+    const updated = { ...template, overrides };
+
+    const date = fromOccurrenceKey(key);
+    const [occurrence] = getOccurrences(updated, date, date);
+    if (!occurrence) return true;
+
+    const transactionId = getOccurrenceTransactionId(template, key);
+    const existing = await getTransaction(transactionId);
+    let changed = false;
+
+    if (occurrence.skipped) {
+        if (existing) {
+            await deleteTransaction(transactionId);
+            changed = true;
+        }
+    } else if (existing) {
+        await updateTransaction(transactionId, {
+            amount: occurrence.amount,
+            description: occurrence.description || ''
+        });
+        changed = true;
+    } else if (template.lastMaterialized && key <= template.lastMaterialized) {
+        // Already past the materialization point, it would never be created otherwise
+        changed = await materializeOccurrence(updated, occurrence);
+    }
+
+    if (changed) {
+        await recalculateGoalsProgress();
+    }
+    return true;
+};
+
+/**
+ * Create transactions for every due occurrence of the active templates
+ * @returns {Promise<object>} { created, skipped }
+ */
+export const materializeRecurringTransactions = async () => {
+    const result = { created: 0, skipped: 0 };
+    if (isMaterializing || !navigator.onLine) return result;
+
+    isMaterializing = true;
+    try {
+        const templates = await getRecurringTemplates();
+        const now = new Date();
+
+        for (const template of templates) {
+            if (!template.active) continue;
+
+            const from = template.lastMaterialized
+                ? fromOccurrenceKey(template.lastMaterialized)
+                : template.startDate;
+            if (template.lastMaterialized) from.setDate(from.getDate() + 1);
+
+            const due = getOccurrences(template, from, now).slice(0, MAX_OCCURRENCES_PER_RUN);
+            if (due.length === 0) continue;
+
+            for (const occurrence of due) {
+                if (occurrence.skipped) {
+                    result.skipped++;
+                } else if (await materializeOccurrence(template, occurrence)) {
+                    result.created++;
+                }
+            }
+
+            await updateRecurringTemplate(template.id, {
+                lastMaterialized: due[due.length - 1].key
+            });
+        }
+
+        if (result.created > 0) {
+            console.log(`Recorrentes: ${result.created} lançamento(s) criado(s)`);
+            await recalculateGoalsProgress();
+        }
+    } finally {
+        isMaterializing = false;
+    }
+
+    return result;
+};
+
+/**
+ * Materialize and tell the pages that asked to know
+ */
+const runMaterialize = async () => {
+    try {
+        const result = await materializeRecurringTransactions();
+        if (result.created > 0) {
+            createdCallbacks.forEach(callback => callback(result));
+        }
+    } catch (error) {
+        console.error('Erro ao gerar lançamentos recorrentes:', error);
+    }
+};
+
+/**
+ * Materialize now and whenever the service worker asks (periodicsync)
+ * Started for every signed in page by app-sync.js; pages call it again only to add a callback
+ * @param {function} onCreated - Callback with result when something was created (optional)
+ * @returns {Promise<void>} First run
+ */
+export const initRecurringSync = (onCreated = null) => {
+    if (onCreated) createdCallbacks.add(onCreated);
+    if (initialRun) return initialRun;
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'MATERIALIZE_RECURRING') {
+                runMaterialize();
+            }
+        });
+        registerPeriodicSync();
+    }
+
+    window.addEventListener('online', runMaterialize);
+
+    initialRun = runMaterialize();
+    return initialRun;
+};
+
+/**
+ * Register the periodic sync (installed PWA on Chromium only)
+ */
+const registerPeriodicSync = async () => {
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (!registration.periodicSync) return;
+
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') return;
+
+        await registration.periodicSync.register(RECURRING_SYNC_TAG, {
+            minInterval: RECURRING_SYNC_INTERVAL
+        });
+    } catch (error) {
+        console.warn('Periodic sync indisponível:', error);
+    }
+};
@@ -0,0 +1,105 @@
+// Statement Module for GPS Financeiro
+// Monthly income statement (profile, earnings, expenses and work done) for loans and car rentals
+
+import { getUserProfile, getTransactions, getSessions, expandTransactionItems } from './db.js';
+import { fromMonthKey } from './budget.js';
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Totals by category, largest first (split transactions count per line item)
+ * @param {array} transactions - Transactions
+ * @returns {array} [{ category, total, share }]
+ */
+const groupByCategory = (transactions) => {
+    const totals = {};
+    expandTransactionItems(transactions).forEach(t => {
+        totals[t.category] = (totals[t.category] || 0) + (t.amount || 0);
+    });
+
+    const sum = Object.values(totals).reduce((acc, value) => acc + value, 0);
+    return Object.entries(totals)
+        .map(([category, total]) => ({ category, total, share: sum > 0 ? total / sum : 0 }))
+        .sort((a, b) => b.total - a.total);
+};
+
+// ============================================
+// Statement
+// ============================================
+
+/**
+ * Build the statement of a month from already loaded data
+ * Money set aside (savings) is not an expense here, so net profit is what was
+ * actually earned with the car
+ * @param {object} profile - User profile
+ * @param {array} transactions - Transactions of the month
+ * @param {array} sessions - Completed sessions of the month
+ * @param {Date} startDate - Month start
+ * @param {Date} endDate - Month end
+ * @returns {object} {
+ *   startDate, endDate, profile: { name, email, phone, vehicle, plate },
+ *   income, expenses, netProfit, incomeByCategory, expensesByCategory,
+ *   sessions: [{ startTime, endTime, duration, earnings, rides }],
+ *   sessionCount, hours, hourlyRate, rides, km
+ * }
+ */
+export const buildMonthlyStatement = (profile, transactions, sessions, startDate, endDate) => {
+    const incomeTransactions = transactions.filter(t => t.type === 'income');
+    const expenseTransactions = transactions.filter(t => t.type === 'expense' && t.subType !== 'saving');
+
+    const income = incomeTransactions.reduce((sum, t) => sum + (t.amount || 0), 0);
+    const expenses = expenseTransactions.reduce((sum, t) => sum + (t.amount || 0), 0);
+    const hours = sessions.reduce((sum, session) => sum + (session.duration || 0) / 3600, 0);
+    const sessionEarnings = sessions.reduce((sum, session) => sum + (session.earnings || 0), 0);
+
+    return {
+        startDate,
+        endDate,
+        profile: {
+            name: profile?.name || '',
+            email: profile?.email || '',
+            phone: profile?.phone || '',
+            vehicle: profile?.vehicle || '',
+            plate: profile?.plate || ''
+        },
+        income,
+        expenses,
+        netProfit: income - expenses,
+        incomeByCategory: groupByCategory(incomeTransactions),
+        expensesByCategory: groupByCategory(expenseTransactions),
+        sessions: sessions
+            .map(session => ({
+                startTime: session.startTime,
+                endTime: session.endTime,
+                duration: session.duration || 0,
+                earnings: session.earnings || 0,
+                rides: session.rides || 0
+            }))
+            .sort((a, b) => a.startTime - b.startTime),
+        sessionCount: sessions.length,
+        hours,
+        hourlyRate: hours > 0 ? sessionEarnings / hours : 0,
+        rides: transactions.filter(t => t.type === 'corridas').reduce((sum, t) => sum + (t.amount || 0), 0),
+        km: transactions.filter(t => t.type === 'km').reduce((sum, t) => sum + (t.amount || 0), 0)
+    };
+};
+
+/**
+ * Load and build the statement of a month
+ * @param {string} monthKey - Month in YYYY-MM format
+ * @returns {Promise<object>} Statement (see buildMonthlyStatement)
+ */
+export const getMonthlyStatement = async (monthKey) => {
+    const startDate = fromMonthKey(monthKey);
+    const endDate = new Date(startDate.getFullYear(), startDate.getMonth() + 1, 0, 23, 59, 59, 999);
+
+    const [profile, transactions, sessions] = await Promise.all([
+        getUserProfile(),
+        getTransactions({ startDate, endDate }),
+        getSessions({ status: 'completed', startDate, endDate })
+    ]);
+
+    return buildMonthlyStatement(profile, transactions, sessions, startDate, endDate);
+};
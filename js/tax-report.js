@@ -0,0 +1,173 @@
+// Tax Report Module for GPS Financeiro
+// Yearly figures for the income tax (Carnê-Leão) and the MEI annual declaration (DASN-SIMEI)
+
+import { getTransactions, expandTransactionItems } from './db.js';
+import { isVehicleCost } from './vehicle-costs.js';
+import { getCategories, getPassengerTransportCategories } from './categories.js';
+
+// MEI gross revenue limit per calendar year (R$ 6.750 per month active)
+export const MEI_ANNUAL_LIMIT = 81000;
+
+// Revenue up to 20% over the limit keeps the MEI until the end of the year
+// (the excess is taxed); above that the exclusion is retroactive to January
+export const MEI_EXCESS_TOLERANCE = 0.2;
+
+// Share of passenger transport income that is taxable for individuals (Lei 7.713/88, art. 9)
+export const PASSENGER_TRANSPORT_TAXABLE_SHARE = 0.6;
+
+// Usage ratio from which the MEI limit is flagged
+const MEI_RISK_RATIO = 0.8;
+
+export const MONTH_LABELS = [
+    'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+    'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
+];
+
+// ============================================
+// MEI
+// ============================================
+
+/**
+ * MEI revenue limit of a year, prorated when the MEI was opened during it
+ * @param {number} year - Calendar year
+ * @param {string} openingMonth - MEI opening month as YYYY-MM (optional)
+ * @returns {number} Limit in R$ (0 when the MEI did not exist yet)
+ */
+export const getMeiLimit = (year, openingMonth = null) => {
+    if (!openingMonth) return MEI_ANNUAL_LIMIT;
+
+    const [openingYear, month] = openingMonth.split('-').map(Number);
+    if (openingYear < year) return MEI_ANNUAL_LIMIT;
+    if (openingYear > year) return 0;
+    return (MEI_ANNUAL_LIMIT / 12) * (13 - month);
+};
+
+/**
+ * Usage of the MEI limit
+ * @param {number} revenue - Gross revenue of the year
+ * @param {number} limit - Limit of the year
+ * @returns {object} { limit, used, remaining, ratio, status: ok|risk|over|excluded }
+ */
+export const calculateMeiUsage = (revenue, limit) => {
+    const ratio = limit > 0 ? revenue / limit : 0;
+
+    let status = 'ok';
+    if (ratio > 1 + MEI_EXCESS_TOLERANCE) status = 'excluded';
+    else if (ratio > 1) status = 'over';
+    else if (ratio >= MEI_RISK_RATIO) status = 'risk';
+
+    return {
+        limit,
+        used: revenue,
+        remaining: Math.max(0, limit - revenue),
+        ratio,
+        status
+    };
+};
+
+// ============================================
+// Report
+// ============================================
+
+/**
+ * Build the yearly tax report from already loaded transactions
+ * Amounts are grouped by category id; labels are up to the caller
+ * @param {array} transactions - Transactions of the year
+ * @param {number} year - Calendar year
+ * @param {object} options - { meiOpeningMonth (YYYY-MM), passengerCategories (Set of income category ids) }, all optional
+ * Only passenger transport income is taxed at PASSENGER_TRANSPORT_TAXABLE_SHARE; other income counts in full
+ * @returns {object} {
+ *   year, grossIncome, passengerIncome, taxableIncome,
+ *   months: [12] { month, income, passengerIncome, taxableIncome, vehicleExpenses, byCategory: { [category]: total } },
+ *   incomeByCategory: [{ category, total, share }],
+ *   vehicleExpenses: { total, byCategory: [{ category, total }], items: [{ date, category, description, amount }] },
+ *   mei: { limit, used, remaining, ratio, status }
+ * }
+ */
+export const buildTaxReport = (transactions, year, options = {}) => {
+    const months = MONTH_LABELS.map((_, month) => ({
+        month,
+        income: 0,
+        passengerIncome: 0,
+        taxableIncome: 0,
+        vehicleExpenses: 0,
+        byCategory: {}
+    }));
+
+    const incomeByCategory = {};
+    const vehicleByCategory = {};
+    const vehicleItems = [];
+    const passengerCategories = options.passengerCategories || new Set();
+
+    // Split transactions count per line item (e.g. parts vs. wash in the same visit)
+    expandTransactionItems(transactions).forEach(t => {
+        if (t.date.getFullYear() !== year) return;
+        const month = months[t.date.getMonth()];
+        const amount = t.amount || 0;
+
+        if (t.type === 'income') {
+            month.income += amount;
+            if (passengerCategories.has(t.category)) {
+                month.passengerIncome += amount;
+                month.taxableIncome += amount * PASSENGER_TRANSPORT_TAXABLE_SHARE;
+            } else {
+                month.taxableIncome += amount;
+            }
+            month.byCategory[t.category] = (month.byCategory[t.category] || 0) + amount;
+            incomeByCategory[t.category] = (incomeByCategory[t.category] || 0) + amount;
+        } else if (isVehicleCost(t)) {
+            month.vehicleExpenses += amount;
+            vehicleByCategory[t.category] = (vehicleByCategory[t.category] || 0) + amount;
+            vehicleItems.push({
+                date: t.date,
+                category: t.category,
+                description: t.description || '',
+                amount
+            });
+        }
+    });
+
+    const grossIncome = months.reduce((sum, month) => sum + month.income, 0);
+    const vehicleTotal = vehicleItems.reduce((sum, item) => sum + item.amount, 0);
+    const byTotal = (a, b) => b.total - a.total;
+
+    return {
+        year,
+        grossIncome,
+        passengerIncome: months.reduce((sum, month) => sum + month.passengerIncome, 0),
+        taxableIncome: months.reduce((sum, month) => sum + month.taxableIncome, 0),
+        months,
+        incomeByCategory: Object.entries(incomeByCategory)
+            .map(([category, total]) => ({ category, total, share: grossIncome > 0 ? total / grossIncome : 0 }))
+            .sort(byTotal),
+        vehicleExpenses: {
+            total: vehicleTotal,
+            byCategory: Object.entries(vehicleByCategory)
+                .map(([category, total]) => ({ category, total }))
+                .sort(byTotal),
+            items: vehicleItems.sort((a, b) => a.date - b.date)
+        },
+        mei: calculateMeiUsage(grossIncome, getMeiLimit(year, options.meiOpeningMonth))
+    };
+};
+
+/**
+ * Load and build the tax report of a calendar year
+ * @param {number} year - Calendar year
+ * @param {object} options - { meiOpeningMonth } (YYYY-MM, optional)
+ * @returns {Promise<object>} Report (see buildTaxReport)
+ */
+export const getTaxReport = async (year, options = {}) => {
+    const [transactions, registry] = await Promise.all([
+        getTransactions({
+            startDate: new Date(year, 0, 1),
+            endDate: new Date(year, 11, 31, 23, 59, 59, 999)
+        }),
+        getCategories()
+    ]);
+
+    return buildTaxReport(transactions, year, {
+        ...options,
+        passengerCategories: getPassengerTransportCategories(registry)
+    });
+};
@@ -497,6 +497,40 @@ export const isMobile = () => {
     return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 };
 
+/**
+ * Compress an image file before upload (resized to fit maxSize, re-encoded as JPEG)
+ * @param {File|Blob} file - Image file
+ * @param {object} options - { maxSize, quality }
+ * @returns {Promise<Blob>} Compressed JPEG image
+ */
+export const compressImage = async (file, options = {}) => {
+    const { maxSize = 1600, quality = 0.7 } = options;
+    const url = URL.createObjectURL(file);
+
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Imagem inválida'));
+            img.src = url;
+        });
+
+        const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+        if (!blob) throw new Error('Falha ao comprimir imagem');
+
+        // Keep the original when it is already smaller (e.g. small JPEGs)
+        return file.size && file.size <= blob.size && file.type === 'image/jpeg' ? file : blob;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
 /**
  * Get current date at start of day (midnight)
  * @returns {Date} Date at midnight
@@ -565,3 +599,98 @@ export const getEndOfMonth = (date = new Date()) => {
     d.setHours(23, 59, 59, 999);
     return d;
 };
+
+/**
+ * Same point in time one calendar period earlier (yesterday, last week, last month, last year)
+ * Months are clamped to the last day, so Mar 31 maps to Feb 28/29
+ * @param {string} period - 'day', 'week', 'month' or 'year'
+ * @param {Date} date - Reference date
+ * @returns {Date} Date one period earlier
+ */
+const getPreviousPeriodPoint = (period, date) => {
+    const d = new Date(date);
+    if (period === 'day') {
+        d.setDate(d.getDate() - 1);
+    } else if (period === 'week') {
+        d.setDate(d.getDate() - 7);
+    } else {
+        const day = d.getDate();
+        d.setDate(1);
+        if (period === 'year') d.setFullYear(d.getFullYear() - 1);
+        else d.setMonth(d.getMonth() - 1);
+        const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+        d.setDate(Math.min(day, lastDay));
+    }
+    return d;
+};
+
+/**
+ * Start of the day, week (Monday), month or year containing a date
+ * @param {string} period - 'day', 'week', 'month' or 'year'
+ * @param {Date} date - Reference date
+ * @returns {Date} Period start
+ */
+const getCalendarPeriodStart = (period, date) => {
+    if (period === 'day') return getStartOfDay(date);
+    if (period === 'week') return getStartOfWeek(date);
+    if (period === 'year') return new Date(date.getFullYear(), 0, 1);
+    return getStartOfMonth(date);
+};
+
+/**
+ * Date range of a period filter and of the previous range it is compared with
+ * - day, week, month, year: from the period start until now, against the previous
+ *   period up to the same point
+ * - 7d, 30d, custom: against the same number of days right before
+ * - lastMonth: the whole previous month, against the whole month before it
+ * @param {string} period - 'day', 'week', 'month', 'year', '7d', '30d', 'lastMonth' or 'custom'
+ * @param {object} options - { now, startDate, endDate } (startDate/endDate are required for 'custom')
+ * @returns {object} { startDate, endDate, previousStartDate, previousEndDate }
+ */
+export const getPeriodRange = (period, options = {}) => {
+    const { now = new Date() } = options;
+
+    switch (period) {
+        case '7d':
+        case '30d': {
+            const days = period === '7d' ? 7 : 30;
+            const startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1));
+            return {
+                startDate,
+                endDate: now,
+                previousStartDate: new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - days),
+                previousEndDate: new Date(startDate.getTime() - 1)
+            };
+        }
+        case 'lastMonth': {
+            const startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+            return {
+                startDate,
+                endDate: new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999),
+                previousStartDate: new Date(now.getFullYear(), now.getMonth() - 2, 1),
+                previousEndDate: new Date(startDate.getTime() - 1)
+            };
+        }
+        case 'custom': {
+            const startDate = getStartOfDay(options.startDate);
+            const endDate = getEndOfDay(options.endDate);
+            // Rounded so a daylight saving change inside the range does not drop a day
+            const days = Math.round((getStartOfDay(endDate) - startDate) / (24 * 60 * 60 * 1000)) + 1;
+            return {
+                startDate,
+                endDate,
+                previousStartDate: new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - days),
+                previousEndDate: new Date(startDate.getTime() - 1)
+            };
+        }
+        default: {
+            const previousEndDate = getPreviousPeriodPoint(period, now);
+            return {
+                startDate: getCalendarPeriodStart(period, now),
+                endDate: now,
+                previousStartDate: getCalendarPeriodStart(period, previousEndDate),
+                previousEndDate
+            };
+        }
+    }
+};
@@ -0,0 +1,149 @@
+// Vehicle Costs Module for GPS Financeiro
+// Real cost per km from km, fuel and maintenance transactions
+
+import { getTransactions, getUserSettings, expandTransactionItems } from './db.js';
+import { getStartOfDay } from './utils.js';
+
+// Expense categories that are vehicle running costs (kept from archive/merge by SYSTEM_CATEGORY_IDS in categories.js)
+export const VEHICLE_COST_CATEGORIES = ['combustivel', 'manutencao', 'lavagem', 'estacionamento'];
+
+// Window used to estimate the current cost per km (sessions, projections)
+const RECENT_COST_DAYS = 30;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Prorate a monthly amount over a date range, day by day
+ * (each day counts 1/daysInMonth of its own month)
+ * @param {number} monthlyAmount - Amount per month
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {number} Prorated amount
+ */
+const prorateMonthlyAmount = (monthlyAmount, startDate, endDate) => {
+    if (!monthlyAmount || monthlyAmount <= 0) return 0;
+
+    let total = 0;
+    const day = getStartOfDay(startDate);
+    const lastDay = getStartOfDay(endDate);
+
+    while (day <= lastDay) {
+        const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+        total += monthlyAmount / daysInMonth;
+        day.setDate(day.getDate() + 1);
+    }
+
+    return total;
+};
+
+/**
+ * Check if an expense is a vehicle running cost
+ * @param {object} transaction - Transaction
+ * @returns {boolean}
+ */
+export const isVehicleCost = (transaction) => {
+    return transaction.type === 'expense' &&
+        transaction.subType !== 'saving' &&
+        VEHICLE_COST_CATEGORIES.includes(transaction.category);
+};
+
+// ============================================
+// Reports
+// ============================================
+
+/**
+ * Calculate vehicle costs and per-km figures for a period
+ * @param {Date} startDate - Period start
+ * @param {Date} endDate - Period end (defaults to now)
+ * @param {object} options - { fixedMonthlyCost } (defaults to user settings)
+ * @returns {Promise<object>} Report with km, costs by category, cost per km and profit per km
+ */
+export const getVehicleCostReport = async (startDate, endDate = new Date(), options = {}) => {
+    const [transactions, settings] = await Promise.all([
+        getTransactions({ startDate, endDate }),
+        options.fixedMonthlyCost === undefined ? getUserSettings() : Promise.resolve(null)
+    ]);
+
+    const fixedMonthlyCost = options.fixedMonthlyCost ?? settings?.vehicleFixedMonthlyCost ?? 0;
+
+    const costsByCategory = {};
+    VEHICLE_COST_CATEGORIES.forEach(category => {
+        costsByCategory[category] = 0;
+    });
+
+    let km = 0;
+    let income = 0;
+    let otherExpenses = 0;
+
+    // Split expenses count per line item, only the vehicle ones are running costs
+    expandTransactionItems(transactions).forEach(t => {
+        if (t.type === 'km') {
+            km += t.amount || 0;
+        } else if (t.type === 'income') {
+            income += t.amount || 0;
+        } else if (isVehicleCost(t)) {
+            costsByCategory[t.category] += t.amount || 0;
+        } else if (t.type === 'expense' && t.subType !== 'saving') {
+            otherExpenses += t.amount || 0;
+        }
+    });
+
+    // Fixed cost only for days already lived in the period
+    const now = new Date();
+    const fixedCost = prorateMonthlyAmount(fixedMonthlyCost, startDate, endDate > now ? now : endDate);
+    const variableCost = Object.values(costsByCategory).reduce((sum, value) => sum + value, 0);
+    const totalCost = variableCost + fixedCost;
+    const netProfit = income - totalCost - otherExpenses;
+
+    return {
+        startDate,
+        endDate,
+        km,
+        income,
+        costsByCategory,
+        variableCost,
+        fixedMonthlyCost,
+        fixedCost,
+        totalCost,
+        otherExpenses,
+        netProfit,
+        costPerKm: km > 0 ? totalCost / km : null,
+        incomePerKm: km > 0 ? income / km : null,
+        netProfitPerKm: km > 0 ? netProfit / km : null
+    };
+};
+
+/**
+ * Estimate the current cost per km from the last 30 days
+ * @returns {Promise<number|null>} Cost per km or null without km history
+ */
+export const getRecentCostPerKm = async () => {
+    const startDate = getStartOfDay();
+    startDate.setDate(startDate.getDate() - RECENT_COST_DAYS);
+
+    const report = await getVehicleCostReport(startDate, new Date());
+    return report.costPerKm;
+};
+
+/**
+ * True profit of a shift after vehicle cost
+ * Vehicle expenses informed in the shift are replaced by km x cost per km
+ * (already included there); other expenses are still subtracted
+ * @param {object} session - { earnings, expenses, expenseCategory, km }
+ * @param {number} costPerKm - Cost per km
+ * @returns {object|null} { vehicleCost, trueProfit } or null without km/cost data
+ */
+export const calculateSessionTrueProfit = (session, costPerKm) => {
+    if (!session.km || session.km <= 0 || costPerKm === null || costPerKm === undefined) return null;
+
+    const vehicleCost = session.km * costPerKm;
+    const expenseIsVehicleCost = VEHICLE_COST_CATEGORIES.includes(session.expenseCategory || 'combustivel');
+    const otherExpenses = expenseIsVehicleCost ? 0 : (session.expenses || 0);
+
+    return {
+        vehicleCost,
+        trueProfit: (session.earnings || 0) - vehicleCost - otherExpenses
+    };
+};
@@ -1,7 +1,15 @@
-// GPS Financeiro Service Worker v2 - Performance Optimized
-const CACHE_NAME = 'gps-financeiro-v2';
+// GPS Financeiro Service Worker v5 - Performance Optimized
+// Bump CACHE_NAME whenever a precached file changes: JS is served cache-first
+const CACHE_NAME = 'gps-financeiro-v5';
 const OFFLINE_URL = '/offline.html';
 
+// Offline outbox (keep in sync with /js/offline-queue.js)
+const OUTBOX_DB_NAME = 'gps-financeiro-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+// How long a window gets to replay the outbox before the sync counts as failed
+const REPLAY_ANSWER_TIMEOUT_MS = 60000;
+
 // Critical resources to cache immediately
 const PRECACHE_URLS = [
     '/',
@@ -12,11 +20,31 @@ const PRECACHE_URLS = [
     '/user/transacao/transacao.html',
     '/user/metas/meta.html',
     '/user/configuracoes/config.html',
+    '/user/combustivel/combustivel.html',
+    '/user/recorrentes/recorrentes.html',
+    '/user/orcamento/orcamento.html',
+    '/user/categorias/categorias.html',
+    '/user/relatorios/relatorios.html',
+    '/user/impostos/impostos.html',
+    '/user/demonstrativo/demonstrativo.html',
     '/js/firebase-config.js',
     '/js/auth.js',
     '/js/db.js',
     '/js/utils.js',
     '/js/notifications.js',
+    '/js/offline-queue.js',
+    '/js/app-sync.js',
+    '/js/vehicle-costs.js',
+    '/js/fuel-analysis.js',
+    '/js/recurring.js',
+    '/js/budget.js',
+    '/js/categories.js',
+    '/js/analytics.js',
+    '/js/tax-report.js',
+    '/js/statement.js',
+    '/js/earnings.js',
+    '/js/export.js',
+    '/js/import.js',
     '/shared/tailwind-config.js',
     '/shared/theme.js',
     '/shared/styles.css',
@@ -35,7 +63,7 @@ const CDN_CACHE_URLS = [
 
 // Install event - cache essential files
 self.addEventListener('install', (event) => {
-    console.log('[SW] Installing v2...');
+    console.log(`[SW] Installing ${CACHE_NAME}...`);
 
     event.waitUntil(
         caches.open(CACHE_NAME).then(async (cache) => {
@@ -67,7 +95,7 @@ self.addEventListener('install', (event) => {
 
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
-    console.log('[SW] Activating v2...');
+    console.log(`[SW] Activating ${CACHE_NAME}...`);
 
     event.waitUntil(
         caches.keys().then((cacheNames) => {
@@ -228,19 +256,100 @@ self.addEventListener('sync', (event) => {
 
 async function syncOfflineTransactions() {
     console.log('[SW] Syncing offline transactions...');
+
+    const pending = await countOutboxEntries();
+    if (pending === 0) {
+        console.log('[SW] Outbox empty');
+        return;
+    }
+
+    // Firestore writes need the authenticated Firebase SDK, which lives in the page.
+    // Ask open windows to replay the outbox and wait for their answer; when none
+    // confirms or entries are left, fail so the browser retries later.
+    const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (clientList.length === 0) {
+        throw new Error(`${pending} outbox entries waiting for an open client`);
+    }
+
+    const replies = await Promise.all(clientList.map((client) => requestOutboxReplay(client, pending)));
+    if (!replies.some(Boolean)) {
+        throw new Error('No open client replayed the outbox');
+    }
+
+    const remaining = await countOutboxEntries();
+    if (remaining > 0) {
+        throw new Error(`${remaining} outbox entries still waiting`);
+    }
 }
 
-// Periodic sync for goal checks
+// Ask one window to replay the outbox; resolves with its answer, or null when it does not answer in time
+function requestOutboxReplay(client, pending) {
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), REPLAY_ANSWER_TIMEOUT_MS);
+
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+
+        client.postMessage({ type: 'REPLAY_OUTBOX', pending }, [channel.port2]);
+    });
+}
+
+function countOutboxEntries() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+                database.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+
+        request.onsuccess = () => {
+            const database = request.result;
+            const countRequest = database.transaction(OUTBOX_STORE, 'readonly').objectStore(OUTBOX_STORE).count();
+            countRequest.onsuccess = () => {
+                database.close();
+                resolve(countRequest.result);
+            };
+            countRequest.onerror = () => {
+                database.close();
+                reject(countRequest.error);
+            };
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Periodic sync for goal checks and recurring transactions
 self.addEventListener('periodicsync', (event) => {
     if (event.tag === 'check-goals') {
         event.waitUntil(checkGoalsReset());
     }
+
+    if (event.tag === 'materialize-recurring') {
+        event.waitUntil(materializeRecurring());
+    }
 });
 
 async function checkGoalsReset() {
     console.log('[SW] Checking goals for reset...');
 }
 
+async function materializeRecurring() {
+    console.log('[SW] Materializing recurring transactions...');
+
+    // Same as the outbox: the page owns the Firestore session, so delegate to open windows
+    const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach((client) => {
+        client.postMessage({ type: 'MATERIALIZE_RECURRING' });
+    });
+}
+
 // Message handler
 self.addEventListener('message', (event) => {
     if (event.data.type === 'SKIP_WAITING') {